@@ -0,0 +1,21 @@
+// flow-typed signature: 4b1c1fd3e9e4f0a0f4d6d2c8a1c55a0e
+// flow-typed version: <<STUB>>/js-yaml_v3.14/flow_v0.66.0
+
+/**
+ * This is an autogenerated libdef stub for:
+ *
+ *   'js-yaml'
+ *
+ * Fill this stub out by replacing all the `any` types.
+ *
+ * Once filled out, we encourage you to share your work with the
+ * community by sending a pull request to:
+ * https://github.com/flowtype/flow-typed
+ */
+
+declare module 'js-yaml' {
+  declare module.exports: {
+    safeLoad: (str: string, opts?: Object) => any,
+    safeDump: (obj: any, opts?: Object) => string,
+  };
+}
@@ -0,0 +1,18 @@
+// flow-typed signature: 9d2a7c0e5b1f3e8a6c4d2b0f9e7a5c3d
+// flow-typed version: <<STUB>>/mongodb_v3.7/flow_v0.66.0
+
+/**
+ * This is an autogenerated libdef stub for:
+ *
+ *   'mongodb'
+ *
+ * Fill this stub out by replacing all the `any` types.
+ *
+ * Once filled out, we encourage you to share your work with the
+ * community by sending a pull request to:
+ * https://github.com/flowtype/flow-typed
+ */
+
+declare module 'mongodb' {
+  declare module.exports: any;
+}
@@ -30,7 +30,9 @@ const defaultSchema = {
       },
       indexes: {
         AAA_index: {
-          AAA: 1
+          key: {
+            AAA: 1
+          }
         }
       },
       classLevelPermissions: {
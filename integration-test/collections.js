@@ -1,6 +1,15 @@
 import assert from 'assert';
 
-import { reset, getSchema, apply, emptySchema } from './util';
+import {
+  reset,
+  getSchema,
+  apply,
+  emptySchema,
+  mongoUri,
+  createObject,
+  getObjects,
+  withMongo,
+} from './util';
 import { consoleLogger } from '../dist/logger';
 
 const deepCopy = (any) => JSON.parse(JSON.stringify(any));
@@ -31,10 +40,14 @@ const defaultSchema = {
       },
       indexes: {
         AAA_index: {
-          AAA: 1
+          key: {
+            AAA: 1
+          }
         },
         AAB_index: {
-          AAB: 1
+          key: {
+            AAB: 1
+          }
         }
       },
       classLevelPermissions: {
@@ -228,4 +241,132 @@ describe('collections', () => {
       assert.deepEqual(s2, circularSchema);
     });
   });
+  describe('when renamed', () => {
+    const implicit = {
+      objectId: {
+        type: 'String'
+      },
+      createdAt: {
+        type: 'Date'
+      },
+      updatedAt: {
+        type: 'Date'
+      },
+      ACL: {
+        type: 'ACL'
+      }
+    };
+    const permissions = {
+      find: {},
+      get: {},
+      create: {},
+      update: {},
+      delete: {},
+      addField: {}
+    };
+    // Memos with a parent memo, and comments pointing to a memo
+    const memoSchema = (className, renamedFrom) => {
+      const memo = {
+        className,
+        fields: Object.assign({}, implicit, {
+          title: {
+            type: 'String'
+          },
+          parent: {
+            type: 'Pointer',
+            targetClass: className
+          }
+        }),
+        classLevelPermissions: permissions
+      };
+      if (renamedFrom) {
+        memo.renamedFrom = renamedFrom;
+      }
+      return {
+        collections: [
+          {
+            className: 'Comment',
+            fields: Object.assign({}, implicit, {
+              memo: {
+                type: 'Pointer',
+                targetClass: className
+              }
+            }),
+            classLevelPermissions: permissions
+          },
+          memo
+        ],
+        functions: [],
+        triggers: []
+      };
+    };
+    const withoutRename = (schema) => {
+      const copy = deepCopy(schema);
+      copy.collections.forEach(c => {
+        delete c.renamedFrom;
+      });
+      return copy;
+    };
+    const createMemos = async () => {
+      const first = await createObject('Memo', {
+        title: 'first',
+        ACL: { '*': { read: true } }
+      });
+      const second = await createObject('Memo', {
+        title: 'second',
+        parent: { __type: 'Pointer', className: 'Memo', objectId: first }
+      });
+      await createObject('Comment', {
+        memo: { __type: 'Pointer', className: 'Memo', objectId: second }
+      });
+      return getObjects('Memo');
+    };
+
+    it('should keep objects and repoint references', async () => {
+      await reset();
+      await apply(memoSchema('Memo'));
+      const memos = await createMemos();
+
+      const renamed = memoSchema('Note', 'Memo');
+      await apply(renamed, { mongoUri });
+      assert.deepEqual(await getSchema(), withoutRename(renamed));
+
+      const notes = await getObjects('Note');
+      assert.deepEqual(
+        notes.map(n => [n.objectId, n.title, n.createdAt, n.updatedAt, n.ACL]),
+        memos.map(m => [m.objectId, m.title, m.createdAt, m.updatedAt, m.ACL])
+      );
+      const second = notes.find(n => n.title === 'second');
+      const first = notes.find(n => n.title === 'first');
+      assert.deepEqual(second.parent, { __type: 'Pointer', className: 'Note', objectId: first.objectId });
+      const [comment] = await getObjects('Comment');
+      assert.deepEqual(comment.memo, { __type: 'Pointer', className: 'Note', objectId: second.objectId });
+    });
+    it('should continue an interrupted rename', async () => {
+      await reset();
+      await apply(memoSchema('Memo'));
+      const memos = await createMemos();
+
+      // The new class was created and one object copied and then
+      // changed before the rename stopped
+      const interrupted = memoSchema('Memo');
+      interrupted.collections.push(memoSchema('Note').collections[1]);
+      await apply(interrupted);
+      await withMongo(async (db) => {
+        const doc = await db.collection('Memo').findOne({ _id: memos[0].objectId });
+        await db.collection('Note').insertOne(Object.assign({}, doc, { title: 'changed' }));
+      });
+
+      const renamed = memoSchema('Note', 'Memo');
+      await apply(renamed, { mongoUri });
+      assert.deepEqual(await getSchema(), withoutRename(renamed));
+
+      const notes = await getObjects('Note');
+      assert.deepEqual(notes.map(n => n.objectId), memos.map(m => m.objectId));
+      assert.deepEqual(
+        notes.map(n => n.title),
+        memos.map((m, i) => (i === 0 ? 'changed' : m.title))
+      );
+    });
+  });
 });
@@ -1,6 +1,13 @@
 import assert from 'assert';
 
-import { reset, getSchema, apply, emptySchema } from './util';
+import {
+  reset,
+  getSchema,
+  apply,
+  emptySchema,
+  createObject,
+  getObjects,
+} from './util';
 
 const deepCopy = (any) => JSON.parse(JSON.stringify(any));
 
@@ -152,4 +159,52 @@ describe('fields', () => {
     const s3 = await getSchema();
     assert.deepEqual(s3, newSchema);
   });
+  describe('when renamed', () => {
+    // Saving objects would call the triggers
+    const withoutTriggers = (schema) => Object.assign(deepCopy(schema), { triggers: [] });
+
+    it('should keep their values', async () => {
+      const oldSchema = withoutTriggers(defaultSchema);
+      const newSchema = withoutTriggers(defaultSchema);
+      delete newSchema.collections[0].fields.AAA;
+      newSchema.collections[0].fields.AAC = { type: 'String', renamedFrom: 'AAA' };
+      const expectedSchema = deepCopy(newSchema);
+      delete expectedSchema.collections[0].fields.AAC.renamedFrom;
+
+      await reset();
+      await apply(oldSchema);
+      // More objects than are copied in one batch
+      for (let i = 0; i < 60; i++) {
+        await createObject('Foo', i % 10 === 0 ? { AAB: 'without AAA' } : { AAA: `value ${i}` });
+      }
+      const objects = await getObjects('Foo');
+
+      await apply(newSchema);
+      assert.deepEqual(await getSchema(), expectedSchema);
+      assert.deepEqual(
+        (await getObjects('Foo')).map(o => [o.objectId, o.AAC, o.AAA]),
+        objects.map(o => [o.objectId, o.AAA, undefined])
+      );
+    });
+    it('should continue an interrupted rename', async () => {
+      const oldSchema = withoutTriggers(defaultSchema);
+      oldSchema.collections[0].fields.AAC = { type: 'String' };
+      const newSchema = withoutTriggers(defaultSchema);
+      delete newSchema.collections[0].fields.AAA;
+      newSchema.collections[0].fields.AAC = { type: 'String', renamedFrom: 'AAA' };
+
+      // Some values were copied, and then changed, before the rename stopped
+      await reset();
+      await apply(oldSchema);
+      await createObject('Foo', { AAA: 'first', AAC: 'changed' });
+      await createObject('Foo', { AAA: 'second' });
+      await createObject('Foo', { AAA: 'third' });
+
+      await apply(newSchema);
+      assert.deepEqual(
+        (await getObjects('Foo')).map(o => o.AAC).sort(),
+        ['changed', 'second', 'third']
+      );
+    });
+  });
 });
@@ -35,10 +35,14 @@ const defaultSchema = {
       },
       indexes: {
         AAA_index: {
-          AAA: 1
+          key: {
+            AAA: 1
+          }
         },
         AAB_index: {
-          AAB: 1
+          key: {
+            AAB: 1
+          }
         }
       },
       classLevelPermissions: {
@@ -114,7 +118,9 @@ describe('indices', () => {
     const newSchema = deepCopy(defaultSchema);
 
     newSchema.collections[0].indexes.Index_Two = {
-      AAC: 1,
+      key: {
+        AAC: 1,
+      }
     };
 
     await reset();
@@ -151,7 +157,7 @@ describe('indices', () => {
     const oldSchema = deepCopy(defaultSchema);
     const newSchema = deepCopy(defaultSchema);
 
-    newSchema.collections[0].indexes.AAA_index.AAB = 1;
+    newSchema.collections[0].indexes.AAA_index.key.AAB = 1;
 
     await reset();
     const s1 = await getSchema();
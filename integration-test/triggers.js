@@ -31,10 +31,14 @@ const defaultSchema = {
       },
       indexes: {
         AAA_index: {
-          AAA: 1
+          key: {
+            AAA: 1
+          }
         },
         AAB_index: {
-          AAB: 1
+          key: {
+            AAB: 1
+          }
         }
       },
       classLevelPermissions: {
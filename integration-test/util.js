@@ -1,5 +1,8 @@
+import axios from 'axios';
+
 import { getPlan, execute, getLiveSchema } from '../dist/actions';
 import { voidLogger } from '../dist/logger';
+import { connectMongo, closeMongo } from '../dist/mongo';
 
 const emptySchema = {
   collections: [],
@@ -8,6 +11,7 @@ const emptySchema = {
 };
 
 const parseUrl = 'http://localhost:7345/1';
+const mongoUri = 'mongodb://localhost:7346/parse';
 const options = {
   applicationId: 'the_application_id',
   key: 'the_master_key',
@@ -27,21 +31,58 @@ const apply =  async (newSchema, opts = {}) => {
     parseUrl,
     options.applicationId,
     options.key,
-    logger
+    logger,
+    false,
+    opts.mongoUri
   );
 };
 
+const httpClient = axios.create({
+  baseURL: parseUrl,
+  headers: {
+    ['X-Parse-Application-Id']: options.applicationId,
+    ['X-Parse-Master-Key']: options.key
+  }
+});
+
+const createObject = async (className, object) => httpClient({
+  method: 'post',
+  url: `/classes/${className}`,
+  data: object
+}).then(response => response.data.objectId);
+
+const getObjects = async (className) => httpClient({
+  method: 'get',
+  url: `/classes/${className}`,
+  params: { order: 'objectId', limit: 1000 }
+}).then(response => response.data.results);
+
+// Runs `callback` with the MongoDB database behind the Parse server
+const withMongo = async (callback) => {
+  const mongo = await connectMongo(mongoUri);
+  try {
+    return await callback(mongo.db);
+  } finally {
+    await closeMongo(mongo);
+  }
+};
+
 const getSchema = async () => getLiveSchema(
   parseUrl,
   options.applicationId,
   options.key
 );
 
-const reset = async () => apply(emptySchema);
+// Tests leave objects behind, which are purged with their classes
+const reset = async () => apply(emptySchema, { dropData: true });
 
 export {
   reset,
   getSchema,
   apply,
   emptySchema,
+  mongoUri,
+  createObject,
+  getObjects,
+  withMongo,
 }
@@ -1,8 +1,11 @@
 // @flow
 
 import axios from 'axios';
+import type { Axios } from 'axios';
+import omit from 'lodash.omit';
 
-import type { Schema } from './schema';
+import type { Schema, CollectionDefinition, IgnoreRules } from './schema';
+import { version3Permissions } from './schema';
 
 import {
   AddIndex,
@@ -10,17 +13,38 @@ import {
   DeleteIndex,
   UpdateColumn,
   DeleteColumn,
+  RenameColumn,
   AddCollection,
+  DeleteCollection,
+  RenameCollection,
+  DeleteFunction,
+  DeleteTrigger,
   prettyPrintCommand,
 } from './command';
 
-import { plan } from './planner';
+import type {
+  Command,
+  DeleteCollectionCommand,
+  DeleteColumnCommand,
+  UpdateColumnCommand,
+  RenameColumnCommand,
+  RenameCollectionCommand,
+} from './command';
+
+import { plan, addIgnoredReferences } from './planner';
 import { execute } from './executor';
-import { verifySchema } from './verifier';
+import { verifySchema, verifyPlan } from './verifier';
+import { getMongoIndexes, toMongoIndexes } from './mongo';
+import { mergeIgnoreRules, applyIgnoreRules } from './ignore';
+import { evaluatePolicy } from './policy';
+import { prettyPrintVariables } from './variables';
+import { normalizeIndexes } from './loader';
+import type { Policy } from './policy';
 import {
   OutOfSyncError,
   InvalidSchemaError,
   DisallowedCommandError,
+  NonEmptyCollectionError,
 } from './errors';
 import type { Logger } from './logger';
 
@@ -30,25 +54,143 @@ export type Options = {
   hookUrl: ?string,
   ignoreIndexes: boolean,
   disallowColumnRedefine: boolean,
-  disallowIndexRedefine: boolean
+  disallowIndexRedefine: boolean,
+  // MongoDB uri of the Parse database, for managing indexes natively
+  mongoUri?: ?string,
+  // Added to the ignore rules of the schema
+  ignore?: IgnoreRules,
+  // Leave out removals, reporting them as pending instead
+  additiveOnly?: boolean,
+  // Commands that plans may contain
+  policy?: ?Policy,
+  // Plan against this schema instead of the live Parse server
+  snapshot?: ?Schema,
+  // Allow deleting collections that still contain objects
+  dropData?: boolean,
+  // Leave out the permissions parse-server 2 doesn't know
+  legacyClp?: boolean
 }
 
+// Changing the type of a column drops it and adds it again, so it
+// removes the values the old app version still reads
+const removalTypes = [
+  DeleteCollection.type,
+  DeleteColumn.type,
+  UpdateColumn.type,
+  DeleteIndex.type,
+  DeleteFunction.type,
+  DeleteTrigger.type,
+];
+
+const isRemoval = (command: Command): boolean => removalTypes.includes(command.type);
+
+// What additive-only mode leaves for a later run. Renamed columns and
+// classes are added and filled right away, only the old ones are left.
+const pendingRemovals = (commands: Array<Command>): Array<Command> => (
+  commands.reduce((pending, command) => {
+    if (command.type === RenameColumn.type) {
+      return pending.concat([DeleteColumn(command.collection, command.from)]);
+    }
+    if (command.type === RenameCollection.type) {
+      return pending.concat([DeleteCollection(command.from)]);
+    }
+    return isRemoval(command) ? pending.concat([command]) : pending;
+  }, [])
+);
+
+const keepingOld = (command: Command): Command => {
+  if (command.type === RenameColumn.type) {
+    const copy: RenameColumnCommand = Object.assign({}, command, { keepOld: true });
+    return copy;
+  }
+  if (command.type === RenameCollection.type) {
+    const copy: RenameCollectionCommand = Object.assign({}, command, { keepOld: true });
+    return copy;
+  }
+  return command;
+};
+
+const withoutVersion3Permissions = (schema: Schema): Schema => (
+  Object.assign({}, schema, {
+    collections: schema.collections.map(collection => Object.assign({}, collection, {
+      classLevelPermissions: omit(collection.classLevelPermissions, version3Permissions)
+    }))
+  })
+);
+
+// The disallow flags are rules that come before the policy's own
+const effectivePolicy = (options: Options): Policy => {
+  const policy = options.policy || { rules: [] };
+  const flagRules = [];
+  if (options.disallowColumnRedefine) {
+    // Renames drop the old column
+    flagRules.push({ effect: 'deny', commands: [UpdateColumn.type, DeleteColumn.type, RenameColumn.type] });
+  }
+  if (options.disallowIndexRedefine) {
+    flagRules.push({ effect: 'deny', commands: [UpdateIndex.type, DeleteIndex.type] });
+  }
+  return Object.assign({}, policy, { rules: flagRules.concat(policy.rules) });
+};
+
+// Schemas passed in directly rather than loaded from a file may still
+// list the key of each index in place of its definition
+const withNormalizedIndexes = (schema: Schema): Schema => (
+  Object.assign({}, schema, {
+    collections: schema.collections.map(collection => Object.assign({}, collection, {
+      indexes: normalizeIndexes(collection.indexes || {})
+    }))
+  })
+);
+
 const getPlan = async (
-  newSchema: Schema,
+  schema: Schema,
   parseUrl: string,
   options: Options,
   logger: Logger,
 ) => {
+  const newSchema = withNormalizedIndexes(schema);
   const applicationId = options.applicationId;
   const key = options.key;
   const hookUrl = options.hookUrl;
 
-  const validationErrors = verifySchema(newSchema);
+  if (newSchema.variables) {
+    logger.info(`Using environment variables: ${prettyPrintVariables(newSchema.variables)}`);
+  }
+
+  // Ignored things are left out of both sides so they are never planned
+  const ignore = mergeIgnoreRules(newSchema.ignore, options.ignore);
+  const validationErrors = verifySchema(Object.assign({}, newSchema, { ignore }));
   if (validationErrors.length > 0) {
     throw new InvalidSchemaError(validationErrors);
   }
-  const oldSchema = await getLiveSchema(parseUrl, applicationId, key, logger);
-  let commands = plan(newSchema, oldSchema, hookUrl);
+  let oldSchema = options.snapshot
+    ? prefixHookUrls(withNormalizedIndexes(options.snapshot), hookUrl)
+    : await getLiveSchema(parseUrl, applicationId, key, logger);
+  let targetSchema = newSchema;
+  if (options.mongoUri && !options.snapshot && !options.ignoreIndexes) {
+    // _SCHEMA only knows the indexes created through Parse, so plan
+    // indexes against what really exists in MongoDB
+    oldSchema = await getMongoIndexes(oldSchema, options.mongoUri)
+      .catch((e) => {
+        logger.error('Unable to retrieve indexes from MongoDB.');
+        return Promise.reject(e);
+      });
+    targetSchema = Object.assign({}, newSchema, {
+      collections: newSchema.collections.map(toMongoIndexes)
+    });
+  }
+  if (options.legacyClp) {
+    targetSchema = withoutVersion3Permissions(targetSchema);
+    oldSchema = withoutVersion3Permissions(oldSchema);
+  }
+  let commands = addIgnoredReferences(
+    plan(
+      applyIgnoreRules(targetSchema, ignore),
+      applyIgnoreRules(oldSchema, ignore),
+      hookUrl
+    ),
+    oldSchema
+  );
   if (options.ignoreIndexes) {
     commands = commands.filter(c => (
       c.type !== AddIndex.type
@@ -56,26 +198,42 @@ const getPlan = async (
         && c.type !== DeleteIndex.type
     ));
     commands.forEach(c => {
-      if (c.type === AddCollection.type) {
+      if (c.type === AddCollection.type || c.type === RenameCollection.type) {
         c.definition.indexes = {};
       }
     });
   }
-  if (options.disallowColumnRedefine) {
-    commands.forEach(c => {
-      if (c.type !== UpdateColumn.type
-          || c.type !== DeleteColumn.type) {
-        throw new DisallowedCommandError(c);
-      }
-    });
+  if (options.additiveOnly) {
+    const removals = pendingRemovals(commands);
+    if (removals.length > 0) {
+      logger.warn(
+        'Pending removals, not applied in additive-only mode:\n'
+          + removals.map(prettyPrintCommand).join('\n')
+      );
+    }
+    commands = commands.filter(c => !isRemoval(c)).map(keepingOld);
   }
-  if (options.disallowIndexRedefine) {
-    commands.forEach(c => {
-      if (c.type !== UpdateIndex.type
-          || c.type !== DeleteIndex.type) {
-        throw new DisallowedCommandError(c);
-      }
+  const planErrors = verifyPlan(commands, oldSchema);
+  if (planErrors.length > 0) {
+    throw new InvalidSchemaError(planErrors);
+  }
+  const disallowed = evaluatePolicy(commands, effectivePolicy(options));
+  if (disallowed.length > 0) {
+    throw new DisallowedCommandError(disallowed);
+  }
+  if (options.snapshot) {
+    // There is no data to look at when planning offline
+    return commands;
+  }
+  const httpClient = createHttpClient(parseUrl, applicationId, key);
+  commands = await countLostObjects(commands, oldSchema, httpClient)
+    .catch((e) => {
+      logger.error('Unable to count objects in Parse.');
+      return Promise.reject(e);
     });
+  const nonEmpty = commands.filter(c => c.type === DeleteCollection.type && c.objectCount);
+  if (nonEmpty.length > 0 && !options.dropData) {
+    throw new NonEmptyCollectionError(nonEmpty);
   }
   return commands;
 };
@@ -86,7 +244,13 @@ const check = async (
   options: Options,
   logger: Logger
 ) => {
-  const commands = await getPlan(newSchema, parseUrl, options, logger)
+  // Nothing is executed, so deleted collections are only reported
+  const commands = await getPlan(
+    newSchema,
+    parseUrl,
+    Object.assign({}, options, { dropData: true }),
+    logger
+  );
   
   if (commands.length === 0) {
     return;
@@ -94,6 +258,113 @@ const check = async (
   throw new OutOfSyncError(commands);
 };
 
+// Snapshots are usually exported with the hook url stripped, so
+// relative urls get the same prefix the planner gives the new schema
+const prefixHookUrls = (schema: Schema, hookUrl: ?string): Schema => {
+  if (!hookUrl) {
+    return schema;
+  }
+  const prefix = (url: string): string => (
+    url.includes('://') ? url : (hookUrl || '') + url
+  );
+  return Object.assign({}, schema, {
+    functions: schema.functions.map(f => Object.assign({}, f, { url: prefix(f.url) })),
+    triggers: schema.triggers.map(t => Object.assign({}, t, { url: prefix(t.url) }))
+  });
+};
+
+// parse-server reports each index as a bare key without its options
+const fromParseIndexes = (collection: Object): CollectionDefinition => {
+  if (!collection.indexes) {
+    return collection;
+  }
+  const indexes = {};
+  Object.keys(collection.indexes).forEach((name) => {
+    indexes[name] = { key: collection.indexes[name] };
+  });
+  return Object.assign({}, collection, { indexes });
+};
+
+const createHttpClient = (parseUrl: string, applicationId: string, key: string): Axios => (
+  axios.create({
+    baseURL: parseUrl,
+    headers: {
+      ['X-Parse-Application-Id']: applicationId,
+      ['X-Parse-Master-Key']: key
+    }
+  })
+);
+
+// Counts the objects of a class, optionally only those matching `where`
+const countObjects = (httpClient: Axios, className: string, where: ?Object = null): Promise<number> => (
+  httpClient({
+    method: 'get',
+    url: `/classes/${className}`,
+    params: where
+      ? { count: 1, limit: 0, where: JSON.stringify(where) }
+      : { count: 1, limit: 0 }
+  }).then(response => response.data.count)
+);
+
+// Values of Relation columns live in a join table rather than on the
+// objects, which is dropped along with the column but can't be counted
+const isRelationColumn = (schema: Schema, className: string, name: string): boolean => {
+  const collection = schema.collections.find(c => c.className === className);
+  const column = collection && collection.fields[name];
+  return !!column && column.type === 'Relation';
+};
+
+const hasValue = (name: string): Object => ({ [name]: { $exists: true, $ne: null } });
+
+// Counts the objects whose data the command would delete
+const countCommandObjects = async (command: Command, oldSchema: Schema, httpClient: Axios): Promise<Command> => {
+  switch (command.type) {
+    case DeleteCollection.type: {
+      const objectCount = await countObjects(httpClient, command.collectionName);
+      const counted: DeleteCollectionCommand = Object.assign({}, command, { objectCount });
+      return counted;
+    }
+    case DeleteColumn.type: {
+      if (isRelationColumn(oldSchema, command.collection, command.columnName)) {
+        const marked: DeleteColumnCommand = Object.assign({}, command, { dropsRelations: true });
+        return marked;
+      }
+      const objectCount = await countObjects(httpClient, command.collection, hasValue(command.columnName));
+      const counted: DeleteColumnCommand = Object.assign({}, command, { objectCount });
+      return counted;
+    }
+    case UpdateColumn.type: {
+      // Columns are updated by deleting and adding them again
+      if (isRelationColumn(oldSchema, command.collection, command.name)) {
+        const marked: UpdateColumnCommand = Object.assign({}, command, { dropsRelations: true });
+        return marked;
+      }
+      const objectCount = await countObjects(httpClient, command.collection, hasValue(command.name));
+      const counted: UpdateColumnCommand = Object.assign({}, command, { objectCount });
+      return counted;
+    }
+    default:
+      return command;
+  }
+};
+
+const countLostObjects = async (commands: Array<Command>, oldSchema: Schema, httpClient: Axios): Promise<Array<Command>> => {
+  const counted: Array<Command> = [];
+  for (const command of commands) {
+    counted.push(await countCommandObjects(command, oldSchema, httpClient));
+  }
+  return counted;
+};
+
+// Commands that were found to delete existing data while planning
+const dataLossCommands = (commands: Array<Command>): Array<Command> => (
+  commands.filter(c => (
+    (c.type === DeleteCollection.type && !!c.objectCount)
+      || ((c.type === DeleteColumn.type || c.type === UpdateColumn.type)
+        && (!!c.objectCount || !!c.dropsRelations))
+  ))
+);
+
 const getLiveSchema = async (
   parseUrl: string,
   applicationId: string,
@@ -101,18 +372,12 @@ const getLiveSchema = async (
   logger: Logger,
 ): Promise<Schema> => {
 
-  const httpClient = axios.create({
-    baseURL: parseUrl,
-    headers: {
-      ['X-Parse-Application-Id']: applicationId,
-      ['X-Parse-Master-Key']: key
-    }
-  });
+  const httpClient = createHttpClient(parseUrl, applicationId, key);
   
   const collections = await httpClient({
     method: 'get',
     url: '/schemas'
-  }).then(response => response.data.results)
+  }).then(response => response.data.results.map(fromParseIndexes))
     .catch((e) => {
       logger.error('Unable to retrieve collections from Parse.');
       return Promise.reject(e);
@@ -146,6 +411,7 @@ const getLiveSchema = async (
 export {
   getPlan,
   check,
+  dataLossCommands,
   execute,
   getLiveSchema,
 }
@@ -14,6 +14,7 @@ import type {
 
 import {
   prettyPrintCollectionPermissions,
+  prettyPrintTriggerClass,
 } from './schema';
 
 export type AddCollectionCommand = {
@@ -22,7 +23,26 @@ export type AddCollectionCommand = {
 }
 export type DeleteCollectionCommand = {
   type: 'DeleteCollection',
-  collectionName: string
+  collectionName: string,
+  // Objects found in the collection while planning, which are purged first
+  objectCount?: number
+}
+// A pointer or relation column of another class
+export type ColumnReference = {
+  collection: string,
+  name: string
+}
+export type RenameCollectionCommand = {
+  type: 'RenameCollection',
+  from: string,
+  definition: CollectionDefinition,
+  // Columns of other classes that point to the old class
+  references: Array<ColumnReference>,
+  // Triggers of the old class, which are moved to the new one
+  triggers: Array<TriggerDefinition>,
+  // Set in additive-only mode, where repointing references and dropping
+  // the old class are left to a later run
+  keepOld?: boolean
 }
 export type AddColumnCommand = {
   type: 'AddColumn',
@@ -33,14 +53,38 @@ export type AddColumnCommand = {
 export type DeleteColumnCommand = {
   type: 'DeleteColumn',
   collection: string,
-  columnName: string
+  columnName: string,
+  // Objects found holding a value in the column while planning
+  objectCount?: number,
+  // Set for relation columns, whose join table can't be counted
+  dropsRelations?: boolean
 }
 export type UpdateColumnCommand = {
   type: 'UpdateColumn',
   collection: string,
   name: string,
+  definition: ColumnDefinition,
+  // Objects found holding a value in the column while planning
+  objectCount?: number,
+  // Set for relation columns, whose join table can't be counted
+  dropsRelations?: boolean
+}
+export type UpdateColumnOptionsCommand = {
+  type: 'UpdateColumnOptions',
+  collection: string,
+  name: string,
   definition: ColumnDefinition
 }
+export type RenameColumnCommand = {
+  type: 'RenameColumn',
+  collection: string,
+  from: string,
+  name: string,
+  definition: ColumnDefinition,
+  // Set in additive-only mode, where dropping the old column is left
+  // to a later run
+  keepOld?: boolean
+}
 export type AddIndexCommand = {
   type: 'AddIndex',
   collection: string,
@@ -92,10 +136,13 @@ export type UpdateCollectionPermissionsCommand = {
 export type Command
   = AddCollectionCommand
   | DeleteCollectionCommand
+  | RenameCollectionCommand
   | UpdateCollectionPermissionsCommand
   | AddColumnCommand
   | DeleteColumnCommand
   | UpdateColumnCommand
+  | UpdateColumnOptionsCommand
+  | RenameColumnCommand
   | AddIndexCommand
   | DeleteIndexCommand
   | UpdateIndexCommand
@@ -122,6 +169,22 @@ const DeleteCollection = (collection: string): DeleteCollectionCommand => (
 );
 DeleteCollection.type = 'DeleteCollection';
 
+const RenameCollection = (
+  from: string,
+  definition: CollectionDefinition,
+  references: Array<ColumnReference> = [],
+  triggers: Array<TriggerDefinition> = []
+): RenameCollectionCommand => (
+  {
+    type: RenameCollection.type,
+    from,
+    definition,
+    references,
+    triggers
+  }
+);
+RenameCollection.type = 'RenameCollection';
+
 const AddColumn = (collection: string, name: string, definition: ColumnDefinition): AddColumnCommand => (
   {
     type: AddColumn.type,
@@ -151,6 +214,36 @@ const UpdateColumn = (collection: string, name: string, definition: ColumnDefini
 );
 UpdateColumn.type = 'UpdateColumn';
 
+const UpdateColumnOptions = (
+  collection: string,
+  name: string,
+  definition: ColumnDefinition
+): UpdateColumnOptionsCommand => (
+  {
+    type: UpdateColumnOptions.type,
+    collection,
+    name,
+    definition
+  }
+);
+UpdateColumnOptions.type = 'UpdateColumnOptions';
+
+const RenameColumn = (
+  collection: string,
+  from: string,
+  name: string,
+  definition: ColumnDefinition
+): RenameColumnCommand => (
+  {
+    type: RenameColumn.type,
+    collection,
+    from,
+    name,
+    definition
+  }
+);
+RenameColumn.type = 'RenameColumn';
+
 const AddIndex = (collection: string, name: string, definition: IndexDefinition): AddIndexCommand => (
   {
     type: AddIndex.type,
@@ -243,18 +336,66 @@ const UpdateCollectionPermissions = (
 );
 UpdateCollectionPermissions.type = 'UpdateCollectionPermissions';
 
+// The type of every command, which policies match against
+const commandTypes: Array<string> = [
+  AddCollection,
+  DeleteCollection,
+  RenameCollection,
+  AddColumn,
+  DeleteColumn,
+  UpdateColumn,
+  UpdateColumnOptions,
+  RenameColumn,
+  AddIndex,
+  DeleteIndex,
+  UpdateIndex,
+  AddFunction,
+  DeleteFunction,
+  UpdateFunction,
+  AddTrigger,
+  DeleteTrigger,
+  UpdateTrigger,
+  UpdateCollectionPermissions,
+].map(command => command.type);
+
+const prettyPrintCount = (count: number): string => (
+  count === 1 ? '1 object' : `${count} objects`
+);
+
 const prettyPrintCommand = (command: Command): string => {
   switch (command.type) {
     case AddCollection.type:
       return `Add Collection "${command.definition.className}"`;
     case DeleteCollection.type:
-      return `Delete Collection "${command.collectionName}"`;
+      return command.objectCount
+        ? `Delete Collection "${command.collectionName}" and its ${prettyPrintCount(command.objectCount)}`
+        : `Delete Collection "${command.collectionName}"`;
+    case RenameCollection.type:
+      return command.keepOld
+        ? `Copy Collection "${command.from}" to "${command.definition.className}"`
+        : `Rename Collection "${command.from}" to "${command.definition.className}"`;
     case AddColumn.type:
       return `Add Column "${command.name}" to "${command.collection}"`;
     case DeleteColumn.type:
-      return `Delete Column "${command.columnName}" from "${command.collection}"`;
+      if (command.dropsRelations) {
+        return `Delete Column "${command.columnName}" from "${command.collection}" and its relations`;
+      }
+      return command.objectCount
+        ? `Delete Column "${command.columnName}" from "${command.collection}" and its values in ${prettyPrintCount(command.objectCount)}`
+        : `Delete Column "${command.columnName}" from "${command.collection}"`;
     case UpdateColumn.type:
-      return `Update Column "${command.name}" on "${command.collection}"`;
+      if (command.dropsRelations) {
+        return `Update Column "${command.name}" on "${command.collection}", losing its relations`;
+      }
+      return command.objectCount
+        ? `Update Column "${command.name}" on "${command.collection}", losing its values in ${prettyPrintCount(command.objectCount)}`
+        : `Update Column "${command.name}" on "${command.collection}"`;
+    case UpdateColumnOptions.type:
+      return `Update Options of Column "${command.name}" on "${command.collection}"`;
+    case RenameColumn.type:
+      return command.keepOld
+        ? `Copy Column "${command.from}" to "${command.name}" on "${command.collection}"`
+        : `Rename Column "${command.from}" to "${command.name}" on "${command.collection}"`;
     case AddIndex.type:
       return `Add Index "${command.name}" to "${command.collection}"`;
     case DeleteIndex.type:
@@ -268,11 +409,11 @@ const prettyPrintCommand = (command: Command): string => {
     case UpdateFunction.type:
       return `Update Function "${command.definition.functionName}"`;
     case AddTrigger.type:
-      return `Add Trigger "${command.definition.triggerName}" on "${command.definition.className}"`;
+      return `Add Trigger "${command.definition.triggerName}" on ${prettyPrintTriggerClass(command.definition.className)}`;
     case DeleteTrigger.type:
-      return `Delete Trigger "${command.triggerName}" on "${command.className}"`;
+      return `Delete Trigger "${command.triggerName}" on ${prettyPrintTriggerClass(command.className)}`;
     case UpdateTrigger.type:
-      return `Update Trigger "${command.definition.triggerName}" on "${command.definition.className}"`;
+      return `Update Trigger "${command.definition.triggerName}" on ${prettyPrintTriggerClass(command.definition.className)}`;
     case UpdateCollectionPermissions.type:
       return `Update Permissions on class "${command.collection}" to "${prettyPrintCollectionPermissions(command.definition)}" from "${prettyPrintCollectionPermissions(command.oldDefinition)}"`;
     default:
@@ -284,9 +425,12 @@ const prettyPrintCommand = (command: Command): string => {
 export {
   AddCollection,
   DeleteCollection,
+  RenameCollection,
   AddColumn,
   DeleteColumn,
   UpdateColumn,
+  UpdateColumnOptions,
+  RenameColumn,
   AddIndex,
   DeleteIndex,
   UpdateIndex,
@@ -297,5 +441,6 @@ export {
   DeleteTrigger,
   UpdateTrigger,
   UpdateCollectionPermissions,
+  commandTypes,
   prettyPrintCommand,
 }
@@ -74,18 +74,106 @@ class InvalidSchemaError extends CliError {
 }
 
 class DisallowedCommandError extends CliError {
-  
-  command: Command
-  
-  constructor(command: Command, ...params: any) {
-    const msg = `Schema would cause disallowed command: "${prettyPrintCommand(command)}"`;
+
+  commands: Array<Command>
+
+  constructor(commands: Array<Command>, ...params: any) {
+    const prettyCommands = commands.map((command) => prettyPrintCommand(command)).join('\n');
+    const msg = `Schema would cause disallowed commands:\n${prettyCommands}`;
     super(1, true, msg, ...params);
 
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, DisallowedCommandError);
     }
 
-    this.command = command;
+    this.commands = commands;
+  }
+}
+
+class InvalidPolicyError extends CliError {
+
+  file: string
+
+  constructor(file: string, reason: string, ...params: any) {
+    const msg = `Invalid policy file ${file}: ${reason}`;
+    super(1, true, msg, ...params);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, InvalidPolicyError);
+    }
+
+    this.file = file;
+  }
+}
+
+class MongoRequiredError extends CliError {
+
+  commands: Array<Command>
+
+  constructor(commands: Array<Command>, ...params: any) {
+    const prettyCommands = commands.map((command) => prettyPrintCommand(command)).join('\n');
+    const msg = `These changes can only be made directly in MongoDB, pass --mongo-uri to execute them:\n${prettyCommands}`;
+    super(1, true, msg, ...params);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, MongoRequiredError);
+    }
+
+    this.commands = commands;
+  }
+}
+
+class NonEmptyCollectionError extends CliError {
+
+  commands: Array<Command>
+
+  constructor(commands: Array<Command>, ...params: any) {
+    const prettyCommands = commands.map((command) => prettyPrintCommand(command)).join('\n');
+    const msg = `These collections still contain objects, pass --drop-data to delete them with their data:\n${prettyCommands}`;
+    super(1, true, msg, ...params);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, NonEmptyCollectionError);
+    }
+
+    this.commands = commands;
+  }
+}
+
+class DataLossError extends CliError {
+
+  commands: Array<Command>
+
+  constructor(commands: Array<Command>, ...params: any) {
+    const prettyCommands = commands.map((command) => prettyPrintCommand(command)).join('\n');
+    const msg = `These changes delete existing data, pass --accept-data-loss to execute them:\n${prettyCommands}`;
+    super(1, true, msg, ...params);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, DataLossError);
+    }
+
+    this.commands = commands;
+  }
+}
+
+class SchemaFileError extends CliError {
+
+  file: string
+  line: number
+  column: number
+
+  constructor(file: string, line: number, column: number, reason: string, ...params: any) {
+    const msg = `${file}:${line}:${column}: ${reason}`;
+    super(1, true, msg, ...params);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, SchemaFileError);
+    }
+
+    this.file = file;
+    this.line = line;
+    this.column = column;
   }
 }
 
@@ -95,4 +183,9 @@ export {
   OutOfSyncError,
   InvalidSchemaError,
   DisallowedCommandError,
+  InvalidPolicyError,
+  MongoRequiredError,
+  NonEmptyCollectionError,
+  DataLossError,
+  SchemaFileError,
 }
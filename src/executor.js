@@ -1,14 +1,18 @@
 // @flow
 
+import url from 'url';
 import axios from 'axios';
-import type { AxiosXHRConfig } from 'axios'
+import type { Axios, AxiosXHRConfig } from 'axios'
 
 import {
   AddCollection,
   DeleteCollection,
+  RenameCollection,
   AddColumn,
   DeleteColumn,
   UpdateColumn,
+  UpdateColumnOptions,
+  RenameColumn,
   AddIndex,
   DeleteIndex,
   UpdateIndex,
@@ -22,10 +26,28 @@ import {
 } from './command';
 
 import type {
-  Command
+  Command,
+  RenameCollectionCommand,
 } from './command';
 
+import type {
+  ColumnDefinition,
+  IndexDefinition,
+  IndexKey,
+  TriggerDefinition,
+} from './schema';
+import { implicitFields, columnOptions } from './schema';
 import type { Logger } from './logger';
+import { MongoRequiredError } from './errors';
+import {
+  connectMongo,
+  closeMongo,
+  createIndex,
+  dropIndex,
+  setColumnOptions,
+  retargetReference,
+  copyObjects,
+} from './mongo';
 
 const flatten = <A>(arrs: Array<Array<A>>): Array<A> => {
   if (arrs.length === 0) {
@@ -44,12 +66,12 @@ const omit = <A>(obj: { [string]: A }, omissions: Array<string>): { [string]: A
   return out;
 };
 
-const autoFields = [
-  'objectId',
-  'ACL',
-  'updatedAt',
-  'createdAt',
-];
+// An operation is either a request against the Parse REST API or, when
+// a MongoDB uri is given, a native operation against the database
+type Operation = {
+  description: string,
+  run: (httpClient: Axios, db: ?Object, logger: Logger) => Promise<*>
+};
 
 const execute = (
   commands: Array<Command>,
@@ -57,23 +79,31 @@ const execute = (
   applicationId: string,
   accessKey: string,
   logger: Logger,
-  verbose: boolean = false
+  verbose: boolean = false,
+  mongoUri: ?string = null
 ): Promise<*> => {
-  return executeRequests(
-    flatten(commands.map(commandToAxiosRequests)),
+  // Fail before executing anything rather than part way through
+  const unsupported = mongoUri ? [] : commands.filter(requiresMongo);
+  if (unsupported.length > 0) {
+    return Promise.reject(new MongoRequiredError(unsupported));
+  }
+  return executeOperations(
+    flatten(commands.map(c => commandToOperations(c, !!mongoUri))),
     parseUrl,
     applicationId,
     accessKey,
+    mongoUri,
     logger,
     verbose
   );
 };
 
-const executeRequests = (
-  requests: Array<AxiosXHRConfig<any>>,
+const executeOperations = (
+  operations: Array<Operation>,
   parseUrl: string,
   applicationId: string,
   accessKey: string,
+  mongoUri: ?string,
   logger: Logger,
   verbose: boolean
 ): Promise<*> => {
@@ -86,13 +116,20 @@ const executeRequests = (
     }
   });
 
-  // Execute requests in order
-  return requests.reduce((previous, current) => (
-    previous.then(() => {
-      logger.info('Executing', JSON.stringify(current));
-      return httpClient(current);
-    })
-  ), Promise.resolve()).catch(e => {
+  const connecting = mongoUri ? connectMongo(mongoUri) : Promise.resolve(null);
+
+  return connecting.then(mongo => (
+    // Execute operations in order
+    operations.reduce((previous, current) => (
+      previous.then(() => {
+        logger.info('Executing', current.description);
+        return current.run(httpClient, mongo && mongo.db, logger);
+      })
+    ), Promise.resolve()).then(
+      () => closeMongo(mongo),
+      e => closeMongo(mongo).then(() => Promise.reject(e))
+    )
+  )).catch(e => {
     if (verbose) {
       logger.error(e)
     } else {
@@ -102,6 +139,245 @@ const executeRequests = (
   });
 };
 
+const hasOptions = (index: IndexDefinition): boolean => (
+  Object.keys(index.options || {}).length > 0
+);
+
+// The Parse REST API can't create indexes with options, change the
+// options of a field or copy objects with their objectId
+const requiresMongo = (command: Command): boolean => {
+  switch (command.type) {
+    case UpdateColumnOptions.type:
+    case RenameCollection.type:
+      return true;
+    case AddCollection.type: {
+      const indexes = command.definition.indexes || {};
+      return Object.keys(indexes).some(name => hasOptions(indexes[name]));
+    }
+    case AddIndex.type:
+    case UpdateIndex.type:
+      return hasOptions(command.definition);
+    default:
+      return false;
+  }
+};
+
+const requestOperation = (request: AxiosXHRConfig<any>): Operation => ({
+  description: JSON.stringify(request),
+  run: (httpClient) => httpClient(request)
+});
+
+const requireDb = (db: ?Object): Object => {
+  if (!db) {
+    throw new Error('No MongoDB connection');
+  }
+  return db;
+};
+
+const createIndexOperation = (className: string, name: string, definition: IndexDefinition): Operation => ({
+  description: `createIndex ${className}.${name} ${JSON.stringify(definition)}`,
+  run: (httpClient, db) => createIndex(requireDb(db), className, name, definition)
+});
+
+const setColumnOptionsOperation = (className: string, name: string, definition: ColumnDefinition): Operation => {
+  const options = columnOptions(definition);
+  return {
+    description: `setColumnOptions ${className}.${name} ${JSON.stringify(options)}`,
+    run: (httpClient, db) => setColumnOptions(requireDb(db), className, name, options)
+  };
+};
+
+const dropIndexOperation = (className: string, name: string): Operation => ({
+  description: `dropIndex ${className}.${name}`,
+  run: (httpClient, db) => dropIndex(requireDb(db), className, name)
+});
+
+// A rename that was interrupted may have added the column already
+const addMissingColumnOperation = (className: string, name: string, request: AxiosXHRConfig<any>): Operation => ({
+  description: JSON.stringify(request),
+  run: (httpClient) => httpClient({
+    method: 'get',
+    url: `/schemas/${className}`
+  }).then(response => (
+    response.data.fields[name] ? null : httpClient(request)
+  ))
+});
+
+const copyBatchSize = 50;
+
+// Batched requests include the path Parse is mounted on
+const batchPath = (httpClient: Axios, path: string): string => (
+  (url.parse(httpClient.defaults.baseURL || '').pathname || '').replace(/\/$/, '') + path
+);
+
+// Runs the batch, failing on the first request that failed
+const runBatch = async (httpClient: Axios, requests: Array<Object>): Promise<*> => {
+  const batch: AxiosXHRConfig<Object> = {
+    method: 'post',
+    url: '/batch',
+    data: { requests }
+  };
+  const results = await httpClient(batch).then(response => response.data);
+  const failed = results.find(result => result.error);
+  if (failed) {
+    throw new Error(failed.error.error);
+  }
+};
+
+// Each page holds objects whose values haven't been copied yet, so an
+// interrupted copy continues where it stopped when executed again
+const copyColumnOperation = (className: string, from: string, name: string): Operation => ({
+  description: `copy values of ${className}.${from} to ${name}`,
+  run: async (httpClient, db, logger) => {
+    const where = {
+      [from]: { $exists: true, $ne: null },
+      [name]: { $exists: false }
+    };
+    let copied = 0;
+    for (;;) {
+      const objects = await httpClient({
+        method: 'get',
+        url: `/classes/${className}`,
+        params: { where: JSON.stringify(where), keys: from, limit: copyBatchSize }
+      }).then(response => response.data.results);
+      if (objects.length === 0) {
+        return;
+      }
+      await runBatch(httpClient, objects.map(object => ({
+        method: 'PUT',
+        path: batchPath(httpClient, `/classes/${className}/${object.objectId}`),
+        body: { [name]: object[from] }
+      }))).catch(e => {
+        throw new Error(`Unable to copy values of ${className}.${from} to ${name}: ${e.message}`);
+      });
+      copied += objects.length;
+      logger.info(`Copied ${copied} values of ${className}.${from} to ${name}`);
+    }
+  }
+});
+
+// Objects are copied in MongoDB, since the REST API can't create them
+// with their objectId and timestamps
+const copyObjectsOperation = (from: string, to: string): Operation => ({
+  description: `copy objects of ${from} to ${to}`,
+  run: (httpClient, db, logger) => copyObjects(requireDb(db), from, to, (copied) => {
+    logger.info(`Copied ${copied} objects of ${from} to ${to}`);
+  })
+});
+
+// Runs the operation unless the class exists, as it does when a
+// rename was interrupted
+const unlessCollectionExists = (className: string, operation: Operation): Operation => ({
+  description: operation.description,
+  run: (httpClient, db, logger) => httpClient({
+    method: 'get',
+    url: `/schemas/${className}`
+  }).then(
+    () => null,
+    () => operation.run(httpClient, db, logger)
+  )
+});
+
+const moveTriggerOperations = (trigger: TriggerDefinition, to: string): Array<Operation> => {
+  const [addTrigger] = commandToAxiosRequests(AddTrigger(Object.assign({}, trigger, { className: to })));
+  const [deleteTrigger] = commandToAxiosRequests(DeleteTrigger(trigger.className, trigger.triggerName));
+  return [
+    {
+      description: JSON.stringify(addTrigger),
+      run: (httpClient) => httpClient({
+        method: 'get',
+        url: `/hooks/triggers/${to}/${trigger.triggerName}`
+      }).then(() => null, () => httpClient(addTrigger))
+    },
+    requestOperation(deleteTrigger)
+  ];
+};
+
+const retargetReferenceOperation = (className: string, name: string, from: string, to: string): Operation => ({
+  description: `point ${className}.${name} at ${to}`,
+  run: (httpClient, db) => retargetReference(requireDb(db), className, name, from, to)
+});
+
+/**
+ * A renamed collection is created, its objects are copied, references
+ * to it are repointed and its triggers are moved before the old class
+ * is dropped. Every step can be run again after an interruption, which
+ * is also how a copy made in additive-only mode is completed.
+ */
+const renameCollectionOperations = (command: RenameCollectionCommand): Array<Operation> => {
+  const from = command.from;
+  const to = command.definition.className;
+  const [, purge, drop] = commandToAxiosRequests(command);
+  // Indexes are created natively, like for AddCollection
+  const creation = commandToOperations(AddCollection(command.definition), true);
+  const copy = [unlessCollectionExists(to, creation[0])].concat(
+    creation.slice(1),
+    [copyObjectsOperation(from, to)]
+  );
+  if (command.keepOld) {
+    // The triggers are added to the new class only
+    return copy.concat(command.triggers.map(trigger => moveTriggerOperations(trigger, to)[0]));
+  }
+  return copy.concat(
+    command.references.map(ref => retargetReferenceOperation(ref.collection, ref.name, from, to)),
+    flatten(command.triggers.map(trigger => moveTriggerOperations(trigger, to))),
+    [requestOperation(purge), requestOperation(drop)]
+  );
+};
+
+/**
+ * Converts the command to one or more operations. With MongoDB
+ * available, indexes are managed natively so their options are kept.
+ */
+const commandToOperations = (command: Command, useMongo: boolean): Array<Operation> => {
+  if (command.type === RenameCollection.type) {
+    return renameCollectionOperations(command);
+  }
+  if (command.type === RenameColumn.type) {
+    const [addColumn, dropColumn] = commandToAxiosRequests(command);
+    const copy = [
+      addMissingColumnOperation(command.collection, command.name, addColumn),
+      copyColumnOperation(command.collection, command.from, command.name)
+    ];
+    return command.keepOld ? copy : copy.concat([requestOperation(dropColumn)]);
+  }
+  if (useMongo) {
+    switch (command.type) {
+      case AddCollection.type: {
+        const className = command.definition.className;
+        const indexes = command.definition.indexes || {};
+        const withoutIndexes = AddCollection(Object.assign({}, command.definition, { indexes: {} }));
+        return commandToAxiosRequests(withoutIndexes).map(requestOperation).concat(
+          Object.keys(indexes).map(name => createIndexOperation(className, name, indexes[name]))
+        );
+      }
+      case UpdateColumnOptions.type:
+        return [setColumnOptionsOperation(command.collection, command.name, command.definition)];
+      case AddIndex.type:
+        return [createIndexOperation(command.collection, command.name, command.definition)];
+      case DeleteIndex.type:
+        return [dropIndexOperation(command.collection, command.indexName)];
+      case UpdateIndex.type:
+        return [
+          dropIndexOperation(command.collection, command.name),
+          createIndexOperation(command.collection, command.name, command.definition)
+        ];
+      default:
+        break;
+    }
+  }
+  return commandToAxiosRequests(command).map(requestOperation);
+};
+
+// Parse only understands the key of each index
+const toParseIndexes = (indexes: ?{ [string]: IndexDefinition }): { [string]: IndexKey } => {
+  const out = {};
+  Object.keys(indexes || {}).forEach(name => {
+    out[name] = (indexes || {})[name].key;
+  });
+  return out;
+};
+
 /**
  * Converts the command to one or more axios requests which will fulfill
  * the command.
@@ -114,16 +390,36 @@ const commandToAxiosRequests = (command: Command): Array<AxiosXHRConfig<any>> =>
         url: `/schemas/${command.definition.className}`,
         data: {
           className: command.definition.className,
-          fields: omit(command.definition.fields, autoFields),
+          fields: omit(
+            command.definition.fields,
+            Object.keys(implicitFields(command.definition.className))
+          ),
           classLevelPermissions: command.definition.classLevelPermissions,
-          indexes: command.definition.indexes
+          indexes: toParseIndexes(command.definition.indexes)
         }
       }];
-    case DeleteCollection.type:
-      return [{
+    case DeleteCollection.type: {
+      const drop = {
         method: 'delete',
         url: `/schemas/${command.collectionName}`
-      }];
+      };
+      // Parse refuses to drop a class that still contains objects
+      return command.objectCount
+        ? [{ method: 'delete', url: `/purge/${command.collectionName}` }, drop]
+        : [drop];
+    }
+    case RenameCollection.type:
+      // Objects are copied in between, see renameCollectionOperations
+      return commandToAxiosRequests(AddCollection(command.definition)).concat([
+        {
+          method: 'delete',
+          url: `/purge/${command.from}`
+        },
+        {
+          method: 'delete',
+          url: `/schemas/${command.from}`
+        }
+      ]);
     case AddColumn.type:
       return [{
         method: 'put',
@@ -169,6 +465,33 @@ const commandToAxiosRequests = (command: Command): Array<AxiosXHRConfig<any>> =>
           }
         }
       ];
+    case UpdateColumnOptions.type:
+      // Only possible in MongoDB, see requiresMongo
+      return [];
+    case RenameColumn.type:
+      // Values are copied in between, see commandToOperations
+      return [
+        {
+          method: 'put',
+          url: `/schemas/${command.collection}`,
+          data: {
+            className: command.collection,
+            fields: {
+              [command.name]: command.definition
+            }
+          }
+        },
+        {
+          method: 'put',
+          url: `/schemas/${command.collection}`,
+          data: {
+            className: command.collection,
+            fields: {
+              [command.from]: { __op: 'Delete' }
+            }
+          }
+        }
+      ];
     case AddIndex.type:
       return [{
         method: 'put',
@@ -176,7 +499,7 @@ const commandToAxiosRequests = (command: Command): Array<AxiosXHRConfig<any>> =>
         data: {
           className: command.collection,
           indexes: {
-            [command.name]: command.definition
+            [command.name]: command.definition.key
           }
         }
       }];
@@ -209,7 +532,7 @@ const commandToAxiosRequests = (command: Command): Array<AxiosXHRConfig<any>> =>
           data: {
             className: command.collection,
             indexes: {
-              [command.name]: command.definition
+              [command.name]: command.definition.key
             }
           }
         }
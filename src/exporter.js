@@ -0,0 +1,106 @@
+// @flow
+
+import yaml from 'js-yaml';
+
+import type {
+  Schema,
+  CollectionDefinition,
+  FunctionDefinition,
+  TriggerDefinition,
+} from './schema';
+
+import { isYAMLFile } from './loader';
+import { escapeVariables } from './variables';
+
+const compareStrings = (a: string, b: string): number => {
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+};
+
+// Recursively sorts object keys. Array order is preserved.
+const sortKeys = (value: any): any => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  const out = {};
+  Object.keys(value).sort().forEach(k => {
+    out[k] = sortKeys(value[k]);
+  });
+  return out;
+};
+
+const stripHookUrl = (url: string, hookUrl: ?string): string => (
+  hookUrl && url.startsWith(hookUrl) ? url.slice(hookUrl.length) : url
+);
+
+const exportCollection = (collection: CollectionDefinition): Object => {
+  // The key order of an index is significant, so only the index
+  // names and options are sorted
+  const liveIndexes = collection.indexes || {};
+  const indexes = {};
+  Object.keys(liveIndexes).sort().forEach(name => {
+    const index = liveIndexes[name];
+    indexes[name] = index.options && Object.keys(index.options).length > 0
+      ? { key: index.key, options: sortKeys(index.options) }
+      : { key: index.key };
+  });
+  return {
+    className: collection.className,
+    fields: sortKeys(collection.fields),
+    classLevelPermissions: sortKeys(collection.classLevelPermissions || {}),
+    indexes
+  };
+};
+
+const exportFunction = (func: FunctionDefinition, hookUrl: ?string): FunctionDefinition => ({
+  functionName: func.functionName,
+  url: stripHookUrl(func.url, hookUrl)
+});
+
+const exportTrigger = (trigger: TriggerDefinition, hookUrl: ?string): TriggerDefinition => ({
+  className: trigger.className,
+  triggerName: trigger.triggerName,
+  url: stripHookUrl(trigger.url, hookUrl)
+});
+
+/**
+ * Converts a schema retrieved from Parse into the normalized shape of
+ * a schema file, so that applying the result is a no-op. Everything
+ * is sorted so repeated exports of the same server are identical.
+ * Text like `${NAME}` is escaped, as the loader would interpolate it.
+ */
+const exportSchema = (liveSchema: Schema, hookUrl: ?string): Object => escapeVariables({
+  collections: liveSchema.collections
+    .slice()
+    .sort((a, b) => compareStrings(a.className, b.className))
+    .map(exportCollection),
+  functions: liveSchema.functions
+    .map(f => exportFunction(f, hookUrl))
+    .sort((a, b) => compareStrings(a.functionName, b.functionName)),
+  triggers: liveSchema.triggers
+    .map(t => exportTrigger(t, hookUrl))
+    .sort((a, b) => (
+      compareStrings(`${a.className}.${a.triggerName}`, `${b.className}.${b.triggerName}`)
+    ))
+});
+
+/**
+ * Serializes an exported schema. YAML is used when the output file has
+ * a YAML extension, JSON otherwise.
+ */
+const formatSchema = (schema: Object, file: ?string): string => {
+  if (file && isYAMLFile(file)) {
+    return yaml.safeDump(schema, { noRefs: true });
+  }
+  return JSON.stringify(schema, null, 2) + '\n';
+};
+
+export {
+  exportSchema,
+  formatSchema,
+}
@@ -0,0 +1,30 @@
+// @flow
+
+/**
+ * Converts a glob pattern into a regular expression matching the whole
+ * string. `*` matches any run of characters and `?` a single character.
+ */
+const globToRegExp = (pattern: string): RegExp => {
+  const source = pattern
+    .split('')
+    .map(c => {
+      if (c === '*') {
+        return '.*';
+      }
+      if (c === '?') {
+        return '.';
+      }
+      return c.replace(/[\\^$.+()|[\]{}]/, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+const matchesGlob = (name: string, patterns: Array<string>): boolean => (
+  patterns.some(pattern => globToRegExp(pattern).test(name))
+);
+
+export {
+  globToRegExp,
+  matchesGlob,
+}
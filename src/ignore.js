@@ -0,0 +1,78 @@
+// @flow
+
+import type {
+  Schema,
+  CollectionDefinition,
+  IgnoreRules,
+} from './schema';
+
+import { matchesGlob } from './glob';
+
+const ignoreKinds = ['collections', 'fields', 'indexes', 'functions', 'triggers'];
+
+const mergeIgnoreRules = (...rules: Array<?IgnoreRules>): IgnoreRules => {
+  const merged = {};
+  ignoreKinds.forEach(kind => {
+    merged[kind] = rules.reduce((patterns, r) => patterns.concat((r && r[kind]) || []), []);
+  });
+  return merged;
+};
+
+/**
+ * Parses an ignore pattern given on the command line. Patterns look
+ * like `fields:Foo.legacy*`; a pattern without a kind is a collection.
+ */
+const parseIgnorePattern = (pattern: string): IgnoreRules => {
+  const match = /^(\w+):(.*)$/.exec(pattern);
+  if (match && ignoreKinds.includes(match[1])) {
+    return { [match[1]]: [match[2]] };
+  }
+  return { collections: [pattern] };
+};
+
+const filterKeys = <A>(obj: { [string]: A }, keep: (string) => boolean): { [string]: A } => {
+  const out = {};
+  Object.keys(obj).filter(keep).forEach(k => {
+    out[k] = obj[k];
+  });
+  return out;
+};
+
+const ignoreInCollection = (collection: CollectionDefinition, rules: IgnoreRules): CollectionDefinition => {
+  const className = collection.className;
+  const filtered = Object.assign({}, collection, {
+    fields: filterKeys(
+      collection.fields || {},
+      name => !matchesGlob(`${className}.${name}`, rules.fields || [])
+    )
+  });
+  if (collection.indexes) {
+    filtered.indexes = filterKeys(
+      collection.indexes,
+      name => !matchesGlob(`${className}.${name}`, rules.indexes || [])
+    );
+  }
+  return filtered;
+};
+
+/**
+ * Removes everything matching the ignore rules from a schema. Fields,
+ * indexes and triggers are matched as `className.name`.
+ */
+const applyIgnoreRules = (schema: Schema, rules: IgnoreRules): Schema => (
+  Object.assign({}, schema, {
+    collections: schema.collections
+      .filter(c => !matchesGlob(c.className, rules.collections || []))
+      .map(c => ignoreInCollection(c, rules)),
+    functions: schema.functions
+      .filter(f => !matchesGlob(f.functionName, rules.functions || [])),
+    triggers: schema.triggers
+      .filter(t => !matchesGlob(`${t.className}.${t.triggerName}`, rules.triggers || []))
+  })
+);
+
+export {
+  mergeIgnoreRules,
+  parseIgnorePattern,
+  applyIgnoreRules,
+}
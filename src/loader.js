@@ -0,0 +1,638 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import omit from 'lodash.omit';
+import deepEquals from 'lodash.isequal';
+
+import type {
+  Schema,
+  SchemaSources,
+  CollectionDefinition,
+  CollectionPermissions,
+  ColumnDefinition,
+  IndexDefinition,
+} from './schema';
+import type { ValidationError } from './validation-error';
+
+import { SchemaFileError, InvalidSchemaError } from './errors';
+import { mergeIgnoreRules } from './ignore';
+import { interpolate } from './variables';
+import type { Environment } from './variables';
+import {
+  unknownPermissionPreset,
+  duplicatePermissionPreset,
+  unknownMixin,
+  duplicateMixin,
+  circularExtends,
+  conflictingMixins,
+  undefinedVariable,
+} from './validation-error';
+
+const yamlExtensions = ['.yaml', '.yml'];
+const schemaExtensions = ['.json'].concat(yamlExtensions);
+
+const isYAMLFile = (file: string): boolean => (
+  yamlExtensions.includes(path.extname(file).toLowerCase())
+);
+
+const isSchemaFile = (file: string): boolean => (
+  schemaExtensions.includes(path.extname(file).toLowerCase())
+);
+
+type SchemaFragment = {
+  file: string,
+  document: Object
+}
+
+// Convert a character offset into a 1-based line and column
+const positionToLocation = (contents: string, position: number): { line: number, column: number } => {
+  const preceding = contents.slice(0, position).split('\n');
+  return {
+    line: preceding.length,
+    column: preceding[preceding.length - 1].length + 1
+  };
+};
+
+const normalizeIndex = (index: Object): IndexDefinition => {
+  // Older schema files list the key of each index directly
+  if (typeof index.key !== 'object' || index.key === null) {
+    return { key: index };
+  }
+  const options = index.options || {};
+  return Object.keys(options).length > 0
+    ? { key: index.key, options }
+    : { key: index.key };
+};
+
+const isPlainObject = (value: mixed): boolean => (
+  !!value && typeof value === 'object' && !Array.isArray(value)
+);
+
+// Overlays remove a definition by setting it to null or `{ $remove: true }`
+const isRemoval = (value: mixed): boolean => (
+  value === null || (isPlainObject(value) && (value: any).$remove === true)
+);
+
+const normalizeIndexes = (indices: Object): { [string]: IndexDefinition } => {
+  const normalizedIndices = {};
+  Object.keys(indices).forEach((name) => {
+    normalizedIndices[name] = isRemoval(indices[name])
+      ? indices[name]
+      : normalizeIndex(indices[name]);
+  });
+  return normalizedIndices;
+};
+
+const normalizeSchema = (schema: Object): Schema => {
+  const newSchema = schema;
+  for (let i = 0; i < schema.collections.length; i++) {
+    newSchema.collections[i].indexes = normalizeIndexes(schema.collections[i].indexes || {});
+  }
+  return newSchema;
+};
+
+// Fields, indexes and permissions shared by several collections
+type Mixin = {
+  fields?: { [string]: ColumnDefinition },
+  indexes?: { [string]: IndexDefinition },
+  classLevelPermissions?: Object,
+  extends?: Array<string> | string
+}
+
+type Mixins = { [string]: Mixin };
+
+// The parts of a definition that are inherited, each merged key by key
+const inheritedParts = ['fields', 'indexes', 'classLevelPermissions'];
+
+const extendedNames = (definition: Object): Array<string> => {
+  const names = definition.extends || [];
+  return Array.isArray(names) ? names : [names];
+};
+
+const has = (object: Object, key: string): boolean => (
+  Object.prototype.hasOwnProperty.call(object, key)
+);
+
+/**
+ * Includes the fields, indexes and permissions of everything each
+ * collection `extends`, which may name mixins or other collections.
+ * A collection's own definitions override inherited ones, but two
+ * parents may only define the same key if they define it alike.
+ */
+const expandMixins = (
+  collections: Array<CollectionDefinition>,
+  mixins: Mixins
+): Array<CollectionDefinition> => {
+  const errors: Array<ValidationError> = [];
+  const classes = {};
+  collections.forEach(collection => {
+    classes[collection.className] = collection;
+  });
+
+  // `path` lists the definitions being expanded, outermost first
+  const inherit = (definition: Object, path: Array<string>): Object => {
+    const owner = path[path.length - 1];
+    const merged = { fields: {}, indexes: {}, classLevelPermissions: {} };
+    const origins = { fields: {}, indexes: {}, classLevelPermissions: {} };
+    extendedNames(definition).forEach(name => {
+      const parent = has(mixins, name) ? mixins[name] : classes[name];
+      if (!parent) {
+        errors.push(unknownMixin(name, owner));
+        return;
+      }
+      if (path.includes(name)) {
+        errors.push(circularExtends(path.concat([name])));
+        return;
+      }
+      const inherited = inherit(parent, path.concat([name]));
+      inheritedParts.forEach(part => {
+        Object.keys(inherited[part]).forEach(key => {
+          const origin = origins[part][key];
+          if (origin !== undefined && !deepEquals(merged[part][key], inherited[part][key])) {
+            errors.push(conflictingMixins(part, key, owner, [origin, name]));
+          } else if (origin === undefined) {
+            origins[part][key] = name;
+            merged[part][key] = inherited[part][key];
+          }
+        });
+      });
+    });
+    inheritedParts.forEach(part => {
+      Object.assign(merged[part], definition[part] || {});
+    });
+    return merged;
+  };
+
+  const expanded = collections.map(collection => {
+    if (collection.extends === undefined) {
+      return collection;
+    }
+    return Object.assign({}, omit(collection, ['extends']), inherit(collection, [collection.className]));
+  });
+  if (errors.length > 0) {
+    // Mixins used by several collections report their own problems once
+    throw new InvalidSchemaError(Array.from(new Set(errors)));
+  }
+  return expanded;
+};
+
+type PermissionPresets = { [string]: CollectionPermissions };
+
+/**
+ * Replaces the `$preset` of each collection's permissions with the
+ * named entry of the schema's `permissionPresets`. Operations the
+ * collection lists itself override those of the preset.
+ */
+const expandPermissionPresets = (
+  collections: Array<CollectionDefinition>,
+  presets: PermissionPresets
+): Array<CollectionDefinition> => {
+  const errors = [];
+  const expanded = collections.map(collection => {
+    const permissions: Object = collection.classLevelPermissions || {};
+    const name = permissions.$preset;
+    if (name === undefined) {
+      return collection;
+    }
+    if (!Object.prototype.hasOwnProperty.call(presets, name)) {
+      errors.push(unknownPermissionPreset(String(name), collection.className));
+      return collection;
+    }
+    return Object.assign({}, collection, {
+      classLevelPermissions: Object.assign({}, presets[name], omit(permissions, ['$preset']))
+    });
+  });
+  if (errors.length > 0) {
+    throw new InvalidSchemaError(errors);
+  }
+  return expanded;
+};
+
+// Mixins can bring their own `$preset`, so they are expanded first
+const expandCollections = (
+  collections: Array<CollectionDefinition>,
+  mixins: Mixins,
+  presets: PermissionPresets
+): Array<CollectionDefinition> => (
+  expandPermissionPresets(expandMixins(collections, mixins), presets)
+);
+
+const normalizeMixins = (mixins: Mixins): Mixins => {
+  const normalized = {};
+  Object.keys(mixins).forEach(name => {
+    const mixin = mixins[name];
+    normalized[name] = mixin && mixin.indexes
+      ? Object.assign({}, mixin, { indexes: normalizeIndexes(mixin.indexes) })
+      : mixin;
+  });
+  return normalized;
+};
+
+// Mixins and presets are only used while loading, so they are left out of the schema
+const withExpansions = (document: Object): Schema => {
+  const schema = omit(document, ['mixins', 'permissionPresets']);
+  schema.collections = expandCollections(
+    schema.collections,
+    normalizeMixins(document.mixins || {}),
+    document.permissionPresets || {}
+  );
+  return schema;
+};
+
+const parseJSONDocument = (contents: string, file: string): Object => {
+  try {
+    return JSON.parse(contents);
+  } catch (err) {
+    const match = /at position (\d+)/.exec(err.message);
+    const location = match
+      ? positionToLocation(contents, parseInt(match[1], 10))
+      : { line: 1, column: 1 };
+    throw new SchemaFileError(file, location.line, location.column, err.message);
+  }
+};
+
+const parseYAMLDocument = (contents: string, file: string): Object => {
+  try {
+    return yaml.safeLoad(contents, { filename: file });
+  } catch (err) {
+    if (err.mark) {
+      throw new SchemaFileError(file, err.mark.line + 1, err.mark.column + 1, err.reason);
+    }
+    throw err;
+  }
+};
+
+const parseSchemaJSON = (jsonSchema: string, file: string = '<schema>'): Schema => (
+  withExpansions(normalizeSchema(parseJSONDocument(jsonSchema, file)))
+);
+
+const parseSchemaYAML = (yamlSchema: string, file: string = '<schema>'): Schema => (
+  withExpansions(normalizeSchema(parseYAMLDocument(yamlSchema, file)))
+);
+
+/**
+ * Reads a single JSON or YAML file, picking the format from the
+ * extension like schema files.
+ */
+const readDocument = (file: string): Object => {
+  const fileContents = fs.readFileSync(file, {encoding: 'UTF-8'});
+  return isYAMLFile(file)
+    ? parseYAMLDocument(fileContents, file)
+    : parseJSONDocument(fileContents, file);
+};
+
+// Lists every schema file below a directory, in a stable order
+const listSchemaFiles = (dir: string): Array<string> => (
+  fs.readdirSync(dir)
+    .filter(name => !name.startsWith('.'))
+    .sort()
+    .map(name => path.join(dir, name))
+    .reduce((files, entry) => {
+      if (fs.statSync(entry).isDirectory()) {
+        return files.concat(listSchemaFiles(entry));
+      }
+      return isSchemaFile(entry) ? files.concat([entry]) : files;
+    }, [])
+);
+
+const loadFragments = (schemaPath: string, visited: Set<string>): Array<SchemaFragment> => {
+  if (fs.statSync(schemaPath).isDirectory()) {
+    return listSchemaFiles(schemaPath).reduce(
+      (fragments, file) => fragments.concat(loadFragments(file, visited)),
+      []
+    );
+  }
+
+  // Files included from several places are only loaded once
+  const resolved = path.resolve(schemaPath);
+  if (visited.has(resolved)) {
+    return [];
+  }
+  visited.add(resolved);
+
+  const document = readDocument(schemaPath) || {};
+  const includes: Array<string> = document.include || [];
+  if (!Array.isArray(includes)) {
+    throw new SchemaFileError(schemaPath, 1, 1, '`include` must be a list of files or directories');
+  }
+  return includes.reduce(
+    (fragments, include) => fragments.concat(
+      loadFragments(path.join(path.dirname(schemaPath), include), visited)
+    ),
+    [{ file: schemaPath, document }]
+  );
+};
+
+const emptySources: SchemaSources = {
+  collections: {},
+  functions: {},
+  triggers: {}
+};
+
+const addSource = (sources: { [string]: Array<string> }, key: string, file: string) => {
+  sources[key] = (sources[key] || []).concat([file]);
+};
+
+// A merged schema whose collections still need their mixins and
+// presets expanded
+type SchemaDraft = {
+  schema: Schema,
+  mixins: Mixins,
+  presets: PermissionPresets
+}
+
+/**
+ * Merges schema fragments into a single schema, remembering which file
+ * each collection, function and trigger was defined in. A fragment
+ * with a top-level `className` is a single collection definition.
+ * Mixins and permission presets may be used by collections in any
+ * fragment. Environment variables are interpolated into every fragment
+ * first, and any that are missing are reported together.
+ */
+const mergeFragments = (fragments: Array<SchemaFragment>, environment: Environment): SchemaDraft => {
+  const sources: SchemaSources = {
+    collections: {},
+    functions: {},
+    triggers: {}
+  };
+  const schema: Schema = {
+    collections: [],
+    functions: [],
+    triggers: [],
+    sources
+  };
+  const mixins: Mixins = {};
+  const mixinSources: { [string]: Array<string> } = {};
+  const presets: PermissionPresets = {};
+  const presetSources: { [string]: Array<string> } = {};
+  const variables = {};
+  const missingVariables: { [string]: Array<string> } = {};
+  fragments.forEach(({ file, document: raw }) => {
+    const interpolation = interpolate(raw, environment);
+    const document = interpolation.value;
+    Object.assign(variables, interpolation.variables);
+    interpolation.missing.forEach(name => addSource(missingVariables, name, file));
+    const fragment = document.className
+      ? { collections: [document] }
+      : document;
+    const { collections } = normalizeSchema({ collections: fragment.collections || [] });
+    collections.forEach(collection => {
+      addSource(sources.collections, collection.className, file);
+      schema.collections.push(collection);
+    });
+    (fragment.functions || []).forEach(func => {
+      addSource(sources.functions, func.functionName, file);
+      schema.functions.push(func);
+    });
+    (fragment.triggers || []).forEach(trigger => {
+      addSource(sources.triggers, `${trigger.className}.${trigger.triggerName}`, file);
+      schema.triggers.push(trigger);
+    });
+    if (fragment.ignore) {
+      schema.ignore = mergeIgnoreRules(schema.ignore, fragment.ignore);
+    }
+    const fragmentMixins = normalizeMixins(fragment.mixins || {});
+    Object.keys(fragmentMixins).forEach(name => {
+      addSource(mixinSources, name, file);
+      mixins[name] = fragmentMixins[name];
+    });
+    const fragmentPresets = fragment.permissionPresets || {};
+    Object.keys(fragmentPresets).forEach(name => {
+      addSource(presetSources, name, file);
+      presets[name] = fragmentPresets[name];
+    });
+  });
+  const duplicates = Object.keys(mixinSources)
+    .filter(name => mixinSources[name].length > 1)
+    .map(name => duplicateMixin(name, mixinSources[name]))
+    .concat(Object.keys(presetSources)
+      .filter(name => presetSources[name].length > 1)
+      .map(name => duplicatePermissionPreset(name, presetSources[name])));
+  if (duplicates.length > 0) {
+    throw new InvalidSchemaError(duplicates);
+  }
+  const missing = Object.keys(missingVariables);
+  if (missing.length > 0) {
+    throw new InvalidSchemaError(missing.map(name => undefinedVariable(name, missingVariables[name])));
+  }
+  if (Object.keys(variables).length > 0) {
+    schema.variables = variables;
+  }
+  return { schema, mixins, presets };
+};
+
+// Objects are merged key by key, anything else is replaced
+const deepMerge = (base: Object, overlay: Object): Object => {
+  const merged = Object.assign({}, base);
+  Object.keys(overlay).forEach(key => {
+    const value = overlay[key];
+    if (isRemoval(value)) {
+      delete merged[key];
+    } else if (isPlainObject(value)) {
+      merged[key] = deepMerge(isPlainObject(merged[key]) ? merged[key] : {}, value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+};
+
+// Indexes are replaced as a whole, since merging their keys would
+// create a different index
+const mergeDefinition = (base: Object, overlay: Object): Object => {
+  const indexes = Object.assign({}, base.indexes);
+  Object.keys(overlay.indexes || {}).forEach(name => {
+    if (isRemoval(overlay.indexes[name])) {
+      delete indexes[name];
+    } else {
+      indexes[name] = overlay.indexes[name];
+    }
+  });
+  const merged = deepMerge(omit(base, ['indexes']), omit(overlay, ['indexes']));
+  return base.indexes || overlay.indexes
+    ? Object.assign(merged, { indexes })
+    : merged;
+};
+
+const mergeByKey = (
+  base: Array<Object>,
+  overlay: Array<Object>,
+  key: (Object) => string,
+  merge: (Object, Object) => Object
+): Array<Object> => {
+  const overlays = {};
+  overlay.forEach(definition => {
+    overlays[key(definition)] = definition;
+  });
+  const baseKeys = new Set(base.map(key));
+  return base
+    .filter(definition => !has(overlays, key(definition)) || !isRemoval(overlays[key(definition)]))
+    .map(definition => (
+      has(overlays, key(definition)) ? merge(definition, overlays[key(definition)]) : definition
+    ))
+    .concat(overlay.filter(definition => !baseKeys.has(key(definition)) && !isRemoval(definition))
+      .map(definition => merge({}, definition)));
+};
+
+const mergeMaps = (base: Object, overlay: Object, merge: (Object, Object) => Object): Object => {
+  const merged = Object.assign({}, base);
+  Object.keys(overlay).forEach(name => {
+    if (isRemoval(overlay[name])) {
+      delete merged[name];
+    } else {
+      merged[name] = merge(merged[name] || {}, overlay[name]);
+    }
+  });
+  return merged;
+};
+
+const mergeSources = (
+  base: { [string]: Array<string> },
+  overlay: { [string]: Array<string> }
+): { [string]: Array<string> } => {
+  const merged = Object.assign({}, base);
+  Object.keys(overlay).forEach(key => {
+    merged[key] = (merged[key] || []).concat(overlay[key]);
+  });
+  return merged;
+};
+
+// The part of an overlay's collection that decides what it inherits
+const inheritanceOf = (collection: Object): Object => {
+  const inheritance: Object = { className: collection.className };
+  if (has(collection, 'extends')) {
+    inheritance.extends = collection.extends;
+  }
+  const permissions = collection.classLevelPermissions;
+  if (isPlainObject(permissions) && has(permissions, '$preset')) {
+    inheritance.classLevelPermissions = { $preset: permissions.$preset };
+  }
+  return inheritance;
+};
+
+const withoutInheritance = (collection: Object): Object => {
+  const rest = omit(collection, ['extends']);
+  return isPlainObject(collection.classLevelPermissions)
+    ? Object.assign(rest, { classLevelPermissions: omit(collection.classLevelPermissions, ['$preset']) })
+    : rest;
+};
+
+/**
+ * Merges an environment's overlay into the base schema. Collections,
+ * functions, triggers, mixins and presets the overlay defines are
+ * added, or merged deeply into the base's definitions of the same
+ * name. Setting a definition or any key inside it to null or
+ * `{ $remove: true }` removes it.
+ *
+ * Of collections the base defines too, only what they inherit is
+ * merged here. The rest is merged by `applyCollectionOverlay` once
+ * mixins are expanded, so overlays can change inherited keys as well.
+ */
+const applyOverlay = (base: SchemaDraft, overlay: SchemaDraft): SchemaDraft => {
+  const baseSources = base.schema.sources || emptySources;
+  const overlaySources = overlay.schema.sources || emptySources;
+  const baseClasses = new Set(base.schema.collections.map(c => c.className));
+  const schema: Schema = {
+    collections: mergeByKey(
+      base.schema.collections,
+      overlay.schema.collections.map(c => (
+        baseClasses.has(c.className) && !isRemoval(c) ? inheritanceOf(c) : c
+      )),
+      c => c.className,
+      mergeDefinition
+    ),
+    functions: mergeByKey(
+      base.schema.functions, overlay.schema.functions, f => f.functionName, deepMerge
+    ),
+    triggers: mergeByKey(
+      base.schema.triggers, overlay.schema.triggers, t => `${t.className}.${t.triggerName}`, deepMerge
+    ),
+    sources: {
+      collections: mergeSources(baseSources.collections, overlaySources.collections),
+      functions: mergeSources(baseSources.functions, overlaySources.functions),
+      triggers: mergeSources(baseSources.triggers, overlaySources.triggers)
+    }
+  };
+  const ignore = mergeIgnoreRules(base.schema.ignore, overlay.schema.ignore);
+  if (Object.keys(ignore).length > 0) {
+    schema.ignore = ignore;
+  }
+  if (base.schema.variables || overlay.schema.variables) {
+    schema.variables = Object.assign({}, base.schema.variables, overlay.schema.variables);
+  }
+  return {
+    schema,
+    mixins: mergeMaps(base.mixins, overlay.mixins, mergeDefinition),
+    presets: mergeMaps(base.presets, overlay.presets, deepMerge)
+  };
+};
+
+const applyCollectionOverlay = (
+  collections: Array<CollectionDefinition>,
+  overlay: SchemaDraft
+): Array<CollectionDefinition> => (
+  mergeByKey(
+    collections,
+    overlay.schema.collections.map(withoutInheritance),
+    c => c.className,
+    mergeDefinition
+  )
+);
+
+/**
+ * Finds the overlay of an environment next to a schema: `schema.yaml`
+ * and a `schema` directory both have their `staging` overlay in
+ * `schema.staging.yaml`, `.yml` or `.json`, or in a `schema.staging`
+ * directory. Environments without an overlay use the schema as is.
+ */
+const findOverlay = (schemaPath: string, env: string): ?string => {
+  const base = fs.statSync(schemaPath).isDirectory()
+    ? path.resolve(schemaPath)
+    : path.join(path.dirname(schemaPath), path.basename(schemaPath, path.extname(schemaPath)));
+  return [`${base}.${env}`]
+    .concat(schemaExtensions.map(extension => `${base}.${env}${extension}`))
+    .find(candidate => fs.existsSync(candidate));
+};
+
+/**
+ * Reads a schema from disk. `schemaPath` may be a single file, a file
+ * with an `include` list of further files and directories, or a
+ * directory whose schema files are all merged together. When `env` is
+ * given, the environment's overlay is merged into it and its path is
+ * recorded as `overlay`. `${NAME}` in any value or key is replaced with
+ * the variable from `environment`.
+ *
+ * The format of each file is picked from its extension: `.yaml` and
+ * `.yml` files are parsed as YAML, everything else as JSON.
+ */
+const loadSchema = (
+  schemaPath: string,
+  env: ?string = null,
+  environment: Environment = process.env
+): Schema => {
+  const draft = mergeFragments(loadFragments(schemaPath, new Set()), environment);
+  const overlayPath = env ? findOverlay(schemaPath, env) : null;
+  if (!overlayPath) {
+    return Object.assign({}, draft.schema, {
+      collections: expandCollections(draft.schema.collections, draft.mixins, draft.presets)
+    });
+  }
+  const overlay = mergeFragments(loadFragments(overlayPath, new Set()), environment);
+  const merged = applyOverlay(draft, overlay);
+  const collections = expandCollections(merged.schema.collections, merged.mixins, merged.presets);
+  return Object.assign({}, merged.schema, {
+    collections: applyCollectionOverlay(collections, overlay),
+    overlay: overlayPath
+  });
+};
+
+export {
+  isYAMLFile,
+  normalizeIndexes,
+  readDocument,
+  parseSchemaJSON,
+  parseSchemaYAML,
+  loadSchema,
+}
@@ -0,0 +1,313 @@
+// @flow
+
+import { MongoClient } from 'mongodb';
+
+import type {
+  Schema,
+  CollectionDefinition,
+  ColumnDefinition,
+  ColumnOptions,
+  IndexDefinition,
+  IndexKey,
+} from './schema';
+
+import { indexOptionNames, builtInClasses, isBuiltInClass } from './schema';
+
+export type MongoConnection = {
+  client: Object,
+  db: Object
+};
+
+const connectMongo = (mongoUri: string): Promise<MongoConnection> => (
+  MongoClient.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true })
+    .then(client => ({ client, db: client.db() }))
+);
+
+const closeMongo = (connection: ?MongoConnection): Promise<*> => (
+  connection ? connection.client.close() : Promise.resolve()
+);
+
+// parse-server keeps a copy of each index key in _SCHEMA, which is what
+// the REST API reports, so it is kept in sync with the real index
+const schemaIndexPath = (name: string): string => `_metadata.indexes.${name}`;
+
+const createIndex = (
+  db: Object,
+  className: string,
+  name: string,
+  definition: IndexDefinition
+): Promise<*> => (
+  db.collection(className)
+    .createIndex(definition.key, Object.assign({}, definition.options, { name }))
+    .then(() => db.collection('_SCHEMA').updateOne(
+      { _id: className },
+      { $set: { [schemaIndexPath(name)]: definition.key } }
+    ))
+);
+
+const dropIndex = (db: Object, className: string, name: string): Promise<*> => (
+  db.collection(className)
+    .dropIndex(name)
+    .then(() => db.collection('_SCHEMA').updateOne(
+      { _id: className },
+      { $unset: { [schemaIndexPath(name)]: '' } }
+    ))
+);
+
+// parse-server keeps the options of each field in _SCHEMA as well, where
+// the REST API can set them for new fields only
+const setColumnOptions = (
+  db: Object,
+  className: string,
+  name: string,
+  options: ColumnOptions
+): Promise<*> => {
+  const path = `_metadata.fields_options.${name}`;
+  return db.collection('_SCHEMA').updateOne(
+    { _id: className },
+    Object.keys(options).length > 0
+      ? { $set: { [path]: options } }
+      : { $unset: { [path]: '' } }
+  );
+};
+
+const retargetBatchSize = 1000;
+
+// The type _SCHEMA records for a pointer or relation to `className`
+const referenceTypes = (className: string): Array<string> => [`*${className}`, `relation<${className}>`];
+
+/**
+ * Points a pointer or relation column at a renamed class. Neither the
+ * target class kept in _SCHEMA nor the `className$objectId` values of
+ * pointers can be changed through the REST API.
+ */
+const retargetReference = async (
+  db: Object,
+  className: string,
+  name: string,
+  from: string,
+  to: string
+): Promise<*> => {
+  const schema = await db.collection('_SCHEMA').findOne({ _id: className });
+  const typeIndex = referenceTypes(from).indexOf(schema ? schema[name] : null);
+  if (typeIndex !== -1) {
+    await db.collection('_SCHEMA').updateOne(
+      { _id: className },
+      { $set: { [name]: referenceTypes(to)[typeIndex] } }
+    );
+  }
+  // Class names can't contain characters special to regular expressions
+  const column = `_p_${name}`;
+  const cursor = db.collection(className)
+    .find({ [column]: { $regex: `^${from}\\$` } })
+    .project({ [column]: 1 });
+  let updates = [];
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    updates.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { [column]: to + doc[column].slice(from.length) } }
+      }
+    });
+    if (updates.length === retargetBatchSize) {
+      await db.collection(className).bulkWrite(updates);
+      updates = [];
+    }
+  }
+  if (updates.length > 0) {
+    await db.collection(className).bulkWrite(updates);
+  }
+};
+
+const copyBatchSize = 1000;
+
+// Points a `className$objectId` pointer value at the renamed class
+const retargetPointer = (value: mixed, from: string, to: string): mixed => (
+  typeof value === 'string' && value.startsWith(`${from}$`)
+    ? to + value.slice(from.length)
+    : value
+);
+
+/**
+ * Copies the documents of a renamed class as they are, keeping their
+ * objectIds, timestamps and ACLs, none of which the REST API can set.
+ * Pointers of the class to itself follow it. Documents already in the
+ * new class are left alone, so an interrupted copy is continued by
+ * copying again. Calls `onBatch` with the number of documents copied.
+ */
+const copyObjects = async (
+  db: Object,
+  from: string,
+  to: string,
+  onBatch: (copied: number) => void
+): Promise<number> => {
+  const cursor = db.collection(from).find({}).sort({ _id: 1 });
+  let copied = 0;
+  let updates = [];
+  const write = async () => {
+    const result = await db.collection(to).bulkWrite(updates, { ordered: false });
+    copied += result.upsertedCount;
+    updates = [];
+    onBatch(copied);
+  };
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    const copy = {};
+    Object.keys(doc).filter(column => column !== '_id').forEach(column => {
+      copy[column] = column.startsWith('_p_') ? retargetPointer(doc[column], from, to) : doc[column];
+    });
+    updates.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $setOnInsert: copy },
+        upsert: true
+      }
+    });
+    if (updates.length === copyBatchSize) {
+      await write();
+    }
+  }
+  if (updates.length > 0) {
+    await write();
+  }
+  return copied;
+};
+
+// Indexes that MongoDB or parse-server create on their own, on every
+// class or on the built-in ones. They are never planned, so schemas
+// don't need to declare them.
+const mongoIndexName = '_id_';
+
+// parse-server also creates indexes on demand, named after their only
+// column: `2d` ones for geo queries, `2dsphere` ones for polygon columns
+// and `text` ones for $text queries
+const onDemandIndexTypes = ['2d', '2dsphere', 'text'];
+
+const isOnDemandIndex = (name: string, key: IndexKey): boolean => {
+  const columns = Object.keys(key);
+  return columns.length === 1
+    && onDemandIndexTypes.includes(key[columns[0]])
+    && name === `${columns[0]}_${key[columns[0]]}`;
+};
+
+const isManagedIndex = (className: string, name: string, key: ?IndexKey): boolean => (
+  name === mongoIndexName
+    || (isBuiltInClass(className) && builtInClasses[className].indexes.includes(name))
+    || (!!key && isOnDemandIndex(name, key))
+);
+
+// Parse stores some columns under different names in MongoDB
+const mongoColumnNames = {
+  objectId: '_id',
+  createdAt: '_created_at',
+  updatedAt: '_updated_at',
+};
+
+const toMongoColumnName = (name: string, fields: { [string]: ColumnDefinition }): string => {
+  if (mongoColumnNames[name]) {
+    return mongoColumnNames[name];
+  }
+  const field = fields[name];
+  return field && field.type === 'Pointer' ? `_p_${name}` : name;
+};
+
+/**
+ * Rewrites index keys to the column names MongoDB uses, so indexes
+ * declared on `author` match the `_p_author` column of a pointer.
+ * Columns that are already internal names, like `_rperm`, are kept.
+ */
+const toMongoIndexKey = (key: IndexKey, fields: { [string]: ColumnDefinition }): IndexKey => {
+  const out = {};
+  Object.keys(key).forEach(name => {
+    out[toMongoColumnName(name, fields)] = key[name];
+  });
+  return out;
+};
+
+const toMongoIndexes = (collection: CollectionDefinition): CollectionDefinition => {
+  const indexes = collection.indexes || {};
+  const mongoIndexes = {};
+  Object.keys(indexes)
+    .filter(name => !isManagedIndex(collection.className, name, indexes[name].key))
+    .forEach(name => {
+      mongoIndexes[name] = Object.assign({}, indexes[name], {
+      key: toMongoIndexKey(indexes[name].key, collection.fields)
+    });
+  });
+  return Object.assign({}, collection, { indexes: mongoIndexes });
+};
+
+// MongoDB reports the key of a text index as `{ _fts: 'text', _ftsx: 1 }`
+// with its columns in the weights, so the declared key is put back
+const fromTextIndexKey = (key: IndexKey, weights: { [string]: number }): IndexKey => {
+  const out = {};
+  Object.keys(key).forEach(name => {
+    if (name === '_fts') {
+      Object.keys(weights).forEach(column => {
+        out[column] = 'text';
+      });
+    } else if (name !== '_ftsx') {
+      out[name] = key[name];
+    }
+  });
+  return out;
+};
+
+const fromIndexSpec = (spec: Object): IndexDefinition => {
+  const options = {};
+  indexOptionNames.forEach(option => {
+    if (spec[option] !== undefined) {
+      options[option] = spec[option];
+    }
+  });
+  const key = spec.key._fts === 'text' ? fromTextIndexKey(spec.key, spec.weights || {}) : spec.key;
+  return { key, options };
+};
+
+// MongoDB's error code for a collection that doesn't exist
+const namespaceNotFound = 26;
+
+const listIndexes = (db: Object, className: string): Promise<{ [string]: IndexDefinition }> => (
+  db.collection(className).listIndexes().toArray().then(
+    (specs) => {
+      const indexes = {};
+      specs.forEach(spec => {
+        const index = fromIndexSpec(spec);
+        if (!isManagedIndex(className, spec.name, index.key)) {
+          indexes[spec.name] = index;
+        }
+      });
+      return indexes;
+    },
+    (e) => (e.code === namespaceNotFound ? {} : Promise.reject(e))
+  )
+);
+
+/**
+ * Replaces the indexes of every collection with the ones that actually
+ * exist in MongoDB, including their options.
+ */
+const getMongoIndexes = (schema: Schema, mongoUri: string): Promise<Schema> => (
+  connectMongo(mongoUri).then(mongo => (
+    Promise.all(schema.collections.map(collection => (
+      listIndexes(mongo.db, collection.className)
+        .then(indexes => Object.assign({}, collection, { indexes }))
+    ))).then(
+      collections => closeMongo(mongo).then(() => Object.assign({}, schema, { collections })),
+      e => closeMongo(mongo).then(() => Promise.reject(e))
+    )
+  ))
+);
+
+export {
+  connectMongo,
+  closeMongo,
+  createIndex,
+  dropIndex,
+  setColumnOptions,
+  retargetReference,
+  copyObjects,
+  isManagedIndex,
+  fromIndexSpec,
+  toMongoIndexes,
+  getMongoIndexes,
+}
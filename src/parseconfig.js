@@ -30,8 +30,13 @@ import type { Options } from './actions';
 
 import { plan } from './planner';
 import { execute } from './executor';
-import { getPlan, check } from './actions';
-import { CliError, MissingParameterError } from './errors';
+import { getPlan, check, getLiveSchema, dataLossCommands } from './actions';
+import { loadSchema, readDocument } from './loader';
+import { selectPolicy } from './policy';
+import type { Policy } from './policy';
+import { exportSchema, formatSchema } from './exporter';
+import { mergeIgnoreRules, parseIgnorePattern } from './ignore';
+import { CliError, MissingParameterError, DataLossError } from './errors';
 import { consoleLogger } from './logger';
 
 const PARSE_SERVER_URL = process.env.PARSE_SERVER_URL;
@@ -45,11 +50,21 @@ export type CliOptions = {
   ignoreIndexes: boolean,
   disallowColumnRedefine: boolean,
   disallowIndexRedefine: boolean,
+  mongoUri: ?string,
+  ignore: Array<string>,
+  additiveOnly: boolean,
+  policy: ?string,
+  env: ?string,
+  dropData: boolean,
+  acceptDataLoss: boolean,
+  legacyClp: boolean,
   verbose: boolean
 }
 
 program.usage('parseconfig [commands]');
 
+const collect = (value: string, values: Array<string>): Array<string> => values.concat([value]);
+
 function handleError(e) {
   if (e instanceof CliError) {
     console.error(e.message);
@@ -66,26 +81,46 @@ function handleError(e) {
 // plan: outputs a gameplan in JSON format that can be executed
 // --disallow-column-redefine: returns an error if the definition of a column changes
 // --disallow-index-redefine: returns an error if the definition of an index changes
+// --additive-only: leaves out deletions so old app versions keep working during a release
+// --policy, --env: returns an error listing every command the environment's policy disallows
+// --env: merges the environment's overlay into the schema
+// --drop-data: allows deleting collections that still contain objects
+// --legacy-clp: leaves out the count and protectedFields permissions parse-server 2 doesn't know
 // execute: takes a gameplan in JSON and executes it.
 // apply: Converts a schema into a gameplan then executes it, asks for confirmation first.
 // --dry-run: prints commands instead of executing them.
 // --non-interactive: doesn't ask for confirmation before applying gameplan
+// --accept-data-loss: allows a non-interactive run to delete the values of columns and collections
 // --disallow-column-redefine: returns an error if the definition of a column changes
 // --disallow-index-redefine: returns an error if the definition of an index changes
+// --drop-data: purges collections that still contain objects before deleting them
+// --ignore: leaves classes, fields, indexes, functions or triggers matching a glob alone
+// --mongo-uri: plans indices against MongoDB and creates and drops them directly, keeping their options
+// export: writes the live schema of a Parse server as a schema file
+// diff: shows the commands between two schema files, offline
+// plan and check accept a snapshot file in place of parseUrl to run offline
 
 program
   .command('plan <parseUrl> <schema>')
-  .description('Generate a gameplan that can be run using the execute command')
+  .description('Generate a gameplan that can be run using the execute command. '
+    + 'parseUrl may be a snapshot file to plan against offline')
   .option('-i, --application-id <s>', 'Application id of the parse server')
   .option('-k, --key <s>', 'Parse access key')
   .option('-u, --hook-url <s>', 'Base url for functions and triggers')
   .option('--ignore-indexes', 'Skips verification and updating of indices')
+  .option('--ignore <pattern>', 'Leave classes matching a glob alone, or kind:glob for fields, indexes, functions and triggers', collect, [])
+  .option('--additive-only', 'Leaves out every removal, reporting them as pending instead')
+  .option('--legacy-clp', 'Leaves count and protectedFields permissions alone, for parse-server 2')
+  .option('--policy <file>', 'Policy file listing the commands allowed in each environment')
+  .option('--env <name>', 'Environment to pick from the policy file and schema overlays')
   .option('--disallow-column-redefine', 'Prevents columns from being updated or deleted')
   .option('--disallow-index-redefine', 'Prevents indices from being updated or deleted')
+  .option('--drop-data', 'Allows deleting collections that still contain objects')
+  .option('--mongo-uri <s>', 'MongoDB uri of the Parse database, used to plan indices against MongoDB')
   .action(async (parseUrl, schema, cliOptions: CliOptions) => {
     try {
-      const options = validateOptions(cliOptions);
-      const newSchema = getNewSchema(schema);
+      const options = validateSourceOptions(parseUrl, cliOptions);
+      const newSchema = getNewSchema(schema, selectedEnv(cliOptions));
       const gamePlan = await getPlan(newSchema, parseUrl, options, consoleLogger);
       console.log(JSON.stringify(gamePlan));
     } catch (e) {
@@ -95,15 +130,22 @@ program
 
 program
   .command('check <parseUrl> <schema>')
-  .description('Return an error if Parse is out of sync with the given schema')
+  .description('Return an error if Parse is out of sync with the given schema. '
+    + 'parseUrl may be a snapshot file to check against offline')
   .option('-i, --application-id <s>', 'Application id of the parse server')
   .option('-k, --key <s>', 'Parse access key')
   .option('-u, --hook-url <s>', 'Base url for functions and triggers')
   .option('--ignore-indexes', 'Skips verification and updating of indices')
+  .option('--ignore <pattern>', 'Leave classes matching a glob alone, or kind:glob for fields, indexes, functions and triggers', collect, [])
+  .option('--additive-only', 'Leaves out every removal, reporting them as pending instead')
+  .option('--legacy-clp', 'Leaves count and protectedFields permissions alone, for parse-server 2')
+  .option('--policy <file>', 'Policy file listing the commands allowed in each environment')
+  .option('--env <name>', 'Environment to pick from the policy file and schema overlays')
+  .option('--mongo-uri <s>', 'MongoDB uri of the Parse database, used to check indices against MongoDB')
   .action(async (parseUrl, schema, cliOptions: CliOptions) => {
     try {
-      const options = validateOptions(cliOptions);
-      const newSchema = getNewSchema(schema);
+      const options = validateSourceOptions(parseUrl, cliOptions);
+      const newSchema = getNewSchema(schema, selectedEnv(cliOptions));
       await check(newSchema, parseUrl, options, consoleLogger);
       console.error('Parse is up-to-date');
     } catch (e) {
@@ -111,6 +153,35 @@ program
     }
   });
 
+program
+  .command('diff <schemaA> <schemaB>')
+  .description('Show the commands that would turn schemaA into schemaB, without contacting Parse')
+  .option('--ignore-indexes', 'Skips verification and updating of indices')
+  .option('--ignore <pattern>', 'Leave classes matching a glob alone, or kind:glob for fields, indexes, functions and triggers', collect, [])
+  .option('--additive-only', 'Leaves out every removal, reporting them as pending instead')
+  .option('--legacy-clp', 'Leaves count and protectedFields permissions alone, for parse-server 2')
+  .option('--policy <file>', 'Policy file listing the commands allowed in each environment')
+  .option('--env <name>', 'Environment to pick from the policy file and schema overlays')
+  .action(async (schemaA, schemaB, cliOptions: CliOptions) => {
+    try {
+      const options = validateOptions(cliOptions, false);
+      options.hookUrl = null;
+      options.snapshot = getNewSchema(schemaA, selectedEnv(cliOptions));
+      const newSchema = getNewSchema(schemaB, selectedEnv(cliOptions));
+      const gamePlan = await getPlan(newSchema, '', options, consoleLogger);
+
+      if (gamePlan.length === 0) {
+        console.error('No differences');
+        return;
+      }
+
+      gamePlan.forEach((command) => console.log(prettyPrintCommand(command)));
+      process.exitCode = 1;
+    } catch (e) {
+      handleError(e);
+    }
+  });
+
 program
   .command('apply <parseUrl> <schema>')
   .description('Apply the given schema to Parse')
@@ -118,9 +189,17 @@ program
   .option('-k, --key <s>', 'Parse access key')
   .option('-u, --hook-url <s>', 'Base url for functions and triggers')
   .option('--non-interactive', 'Do not ask for confirmation before applying changes')
+  .option('--accept-data-loss', 'Execute changes that delete existing data without asking')
   .option('--ignore-indexes', 'Skips verification and updating of indices')
+  .option('--ignore <pattern>', 'Leave classes matching a glob alone, or kind:glob for fields, indexes, functions and triggers', collect, [])
+  .option('--additive-only', 'Leaves out every removal, reporting them as pending instead')
+  .option('--legacy-clp', 'Leaves count and protectedFields permissions alone, for parse-server 2')
+  .option('--policy <file>', 'Policy file listing the commands allowed in each environment')
+  .option('--env <name>', 'Environment to pick from the policy file and schema overlays')
   .option('--disallow-column-redefine', 'Prevents columns from being updated or deleted')
   .option('--disallow-index-redefine', 'Prevents indices from being updated or deleted')
+  .option('--drop-data', 'Allows deleting collections that still contain objects')
+  .option('--mongo-uri <s>', 'MongoDB uri of the Parse database, used to plan and manage indices directly')
   .option('--verbose', 'Output extra logging')
   .action(async (parseUrl, schema, cliOptions: CliOptions) => {
     try {
@@ -131,7 +210,7 @@ program
       });
 
       const options = validateOptions(cliOptions);
-      const newSchema = getNewSchema(schema);
+      const newSchema = getNewSchema(schema, selectedEnv(cliOptions));
       const gamePlan = await getPlan(newSchema, parseUrl, options, consoleLogger);
 
       if (gamePlan.length === 0) {
@@ -141,17 +220,22 @@ program
 
       gamePlan.forEach((command) => console.error(prettyPrintCommand(command)));
 
+      const dataLoss = dataLossCommands(gamePlan);
       if (cliOptions.nonInteractive) {
+        if (dataLoss.length > 0 && !cliOptions.acceptDataLoss) {
+          throw new DataLossError(dataLoss);
+        }
         execute(
           gamePlan,
           parseUrl,
           options.applicationId,
           options.key,
           consoleLogger,
-          !!cliOptions.verbose
+          !!cliOptions.verbose,
+          options.mongoUri
         ).then(() => rl.close(), handleError);
       } else {
-        rl.question('Do you want to execute these commands? [y/N] ', (answer) => {
+        rl.question(confirmationQuestion(dataLoss), (answer) => {
           if (answer.toLowerCase() !== 'y') {
             console.error('Exiting without making changes');
             process.exit();
@@ -163,7 +247,8 @@ program
             options.applicationId,
             options.key,
             consoleLogger,
-            !!cliOptions.verbose
+            !!cliOptions.verbose,
+            options.mongoUri
           ).then(() => rl.close(), handleError);
         });
       }
@@ -179,7 +264,9 @@ program
   .option('-k, --key <s>', 'Parse access key')
   .option('-u, --hook-url <s>', 'Base url for functions and triggers')
   .option('--non-interactive', 'Do not ask for confirmation before applying changes')
+  .option('--accept-data-loss', 'Execute changes that delete existing data without asking')
   .option('--ignore-indexes', 'Skips verification and updating of indices')
+  .option('--mongo-uri <s>', 'MongoDB uri of the Parse database, used to plan and manage indices directly')
   .option('--verbose', 'Output extra logging')
   .action(async (parseUrl, commandsFile, cliOptions: CliOptions) => {
     try {
@@ -199,17 +286,22 @@ program
 
       gamePlan.forEach((command) => console.error(prettyPrintCommand(command)));
 
+      const dataLoss = dataLossCommands(gamePlan);
       if (cliOptions.nonInteractive) {
+        if (dataLoss.length > 0 && !cliOptions.acceptDataLoss) {
+          throw new DataLossError(dataLoss);
+        }
         execute(
           gamePlan,
           parseUrl,
           options.applicationId,
           options.key,
           consoleLogger,
-          !!cliOptions.verbose
+          !!cliOptions.verbose,
+          options.mongoUri
         ).then(() => rl.close(), handleError);
       } else {
-        rl.question('Do you want to execute these commands? [y/N] ', (answer) => {
+        rl.question(confirmationQuestion(dataLoss), (answer) => {
           if (answer.toLowerCase() !== 'y') {
             console.error('Exiting without making changes');
             process.exit();
@@ -221,7 +313,8 @@ program
             options.applicationId,
             options.key,
             consoleLogger,
-            !!cliOptions.verbose
+            !!cliOptions.verbose,
+            options.mongoUri
           ).then(() => rl.close(), handleError);
         });
       }
@@ -230,6 +323,27 @@ program
     };
   });
 
+program
+  .command('export <parseUrl> [out]')
+  .description('Write the schema of a Parse server to a schema file, or stdout')
+  .option('-i, --application-id <s>', 'Application id of the parse server')
+  .option('-k, --key <s>', 'Parse access key')
+  .option('-u, --hook-url <s>', 'Base url to strip from functions and triggers')
+  .action(async (parseUrl, out, cliOptions: CliOptions) => {
+    try {
+      const options = validateOptions(cliOptions);
+      const liveSchema = await getLiveSchema(parseUrl, options.applicationId, options.key, consoleLogger);
+      const contents = formatSchema(exportSchema(liveSchema, options.hookUrl), out);
+      if (out) {
+        fs.writeFileSync(out, contents, {encoding: 'UTF-8'});
+        console.error(`Schema written to ${out}`);
+      } else {
+        process.stdout.write(contents);
+      }
+    } catch (e) {
+      handleError(e);
+    }
+  });
 
 program
   .command('display <commands>')
@@ -250,30 +364,22 @@ program
     };
   });
 
-const parseSchemaJSON = (jsonSchema: string): Schema => {
-  const schema = JSON.parse(jsonSchema);
-  const newSchema = schema;
-  for (let i = 0; i < schema.collections.length; i++) {
-    // NOTE: parse-server stores indices in _SCHEMA in a naive way
-    // (name => key), we store indices with their options for
-    // posterity. Since we don't use parse-server to apply these
-    // indices, munge the shape to what we expect
-    const simpleIndices = {};
-    const indices = schema.collections[i].indexes;
-    // $FlowFixMe
-    const indexEntries: Array<[string, { key: { [string]: number }, options: Object }]> = Object.entries(indices);
-    for (const [key, value] of indexEntries) {
-      simpleIndices[key] = value.key;
-    }
-    newSchema.collections[i].indexes = simpleIndices;
-  }
-  return newSchema;
-};
+const confirmationQuestion = (dataLoss: Array<Command>): string => (
+  dataLoss.length > 0
+    ? 'These commands delete existing data. Do you want to execute them? [y/N] '
+    : 'Do you want to execute these commands? [y/N] '
+);
 
-const getNewSchema = (schemaFile: string): Schema => {
+const getNewSchema = (schemaFile: string, env: ?string = null): Schema => {
   try {
-    const fileContents = fs.readFileSync(schemaFile, {encoding: 'UTF-8'});
-    return parseSchemaJSON(fileContents);
+    const schema = loadSchema(schemaFile, env);
+    if (env) {
+      // --env also picks the policy environment, so a missing overlay is fine
+      console.error(schema.overlay
+        ? `Merged the ${env} overlay ${schema.overlay}`
+        : `No ${env} overlay next to ${schemaFile}, using the schema as is`);
+    }
+    return schema;
   } catch (err) {
     console.error(err.message);
     process.exit(1);
@@ -281,6 +387,13 @@ const getNewSchema = (schemaFile: string): Schema => {
   }
 };
 
+const getPolicy = (policyFile: string, env: ?string): Policy => {
+  if (env === null || env === undefined) {
+    throw new MissingParameterError('Environment', '--env', 'PARSECONFIG_ENV');
+  }
+  return selectPolicy(readDocument(policyFile), env, policyFile);
+};
+
 const getCommands = (commandFile: string): Array<Command> => {
   try {
     const fileContents = fs.readFileSync(commandFile, {encoding: 'UTF-8'});
@@ -293,27 +406,55 @@ const getCommands = (commandFile: string): Array<Command> => {
   }
 };
 
-const validateOptions = (options: CliOptions): Options => {
+const isParseUrl = (parseUrl: string): boolean => /^https?:\/\//i.test(parseUrl);
+
+// A parseUrl that isn't a url is a snapshot file, which needs no
+// credentials to plan against
+const validateSourceOptions = (parseUrl: string, cliOptions: CliOptions): Options => {
+  if (isParseUrl(parseUrl)) {
+    return validateOptions(cliOptions);
+  }
+  const options = validateOptions(cliOptions, false);
+  options.snapshot = getNewSchema(parseUrl);
+  return options;
+};
+
+const selectedEnv = (options: CliOptions): ?string => (
+  options.env || process.env.PARSECONFIG_ENV || null
+);
+
+const validateOptions = (options: CliOptions, requireCredentials: boolean = true): Options => {
   const applicationId: ?string = options.applicationId || process.env.PARSE_APPLICATION_ID;
   const key: ?string = options.key || process.env.PARSE_MASTER_KEY;
   const hookUrl: ?string = options.hookUrl || process.env.PARSE_HOOK_URL || null;
   const ignoreIndexes = options.ignoreIndexes;
   const disallowColumnRedefine = options.disallowColumnRedefine;
   const disallowIndexRedefine = options.disallowIndexRedefine;
+  const additiveOnly = !!options.additiveOnly;
+  const env = selectedEnv(options);
+  const policy = options.policy ? getPolicy(options.policy, env) : null;
+  const mongoUri: ?string = options.mongoUri || process.env.PARSE_MONGO_URI || null;
+  const ignore = mergeIgnoreRules(...(options.ignore || []).map(parseIgnorePattern));
 
-  if (applicationId === null || applicationId === undefined) {
+  if (requireCredentials && (applicationId === null || applicationId === undefined)) {
     throw new MissingParameterError('Application id', '-i', 'PARSE_APPLICATION_ID');
   }
-  if (key === null || key === undefined) {
+  if (requireCredentials && (key === null || key === undefined)) {
     throw new MissingParameterError('Parse Master Key', '-k', 'PARSE_MASTER_KEY');
   }
   return {
-    applicationId,
-    key,
+    applicationId: applicationId || '',
+    key: key || '',
     hookUrl,
     ignoreIndexes,
     disallowColumnRedefine,
-    disallowIndexRedefine
+    disallowIndexRedefine,
+    mongoUri,
+    ignore,
+    additiveOnly,
+    policy,
+    dropData: !!options.dropData,
+    legacyClp: !!options.legacyClp
   };
 };
 
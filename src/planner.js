@@ -12,12 +12,25 @@ import type {
   TriggerDefinition,
 } from './schema';
 
+import {
+  implicitFields,
+  isBuiltInClass,
+  referenceTypes,
+  columnOptionNames,
+  columnOptions,
+  version3Permissions,
+  defaultedIndexOptions,
+} from './schema';
+
 import {
   AddCollection,
   DeleteCollection,
+  RenameCollection,
   AddColumn,
   DeleteColumn,
   UpdateColumn,
+  UpdateColumnOptions,
+  RenameColumn,
   AddIndex,
   DeleteIndex,
   UpdateIndex,
@@ -31,7 +44,8 @@ import {
 } from './command';
 
 import type {
-  Command
+  Command,
+  ColumnReference,
 } from './command';
 
 const plan = (
@@ -39,20 +53,122 @@ const plan = (
   oldSchema: Schema,
   hookUrl: ?string,
 ): Array<Command> => {
+  // Renamed collections take their triggers along
+  const renames = collectionRenames(newSchema.collections, oldSchema.collections);
+  const movedTriggers = oldSchema.triggers.map(trigger => (
+    renames.has(trigger.className)
+      ? Object.assign({}, trigger, { className: renames.get(trigger.className) })
+      : trigger
+  ));
   return planCollections(
     newSchema.collections,
     oldSchema.collections,
+    oldSchema.triggers,
   ).concat(
     planFunctions(newSchema.functions, oldSchema.functions, hookUrl),
-    planTriggers(newSchema.triggers, oldSchema.triggers, hookUrl)
+    planTriggers(newSchema.triggers, movedTriggers, hookUrl)
   );
 };
 
+// Maps the old name of each collection that is still to be renamed to
+// its new name
+const collectionRenames = (
+  newSchema: Array<CollectionDefinition>,
+  oldSchema: Array<CollectionDefinition>,
+): Map<string, string> => {
+  const oldNames = new Set(oldSchema.map(c => c.className));
+  const newNames = new Set(newSchema.map(c => c.className));
+  const renames = new Map();
+  newSchema.forEach(collection => {
+    const from = collection.renamedFrom;
+    if (from && oldNames.has(from) && !newNames.has(from)) {
+      renames.set(from, collection.className);
+    }
+  });
+  return renames;
+};
+
+const isReference = (field: ColumnDefinition): boolean => (
+  referenceTypes.includes(field.type)
+);
+
+// The pointer and relation columns of other classes that target `className`
+const findReferences = (
+  collections: Array<CollectionDefinition>,
+  className: string,
+): Array<ColumnReference> => {
+  const references = [];
+  collections.filter(c => c.className !== className).forEach(collection => {
+    Object.keys(collection.fields).forEach(name => {
+      const field = collection.fields[name];
+      if (isReference(field) && field.targetClass === className) {
+        references.push({ collection: collection.className, name });
+      }
+    });
+  });
+  return references;
+};
+
+// Points the references to renamed collections at their new names
+const retargetReferences = (
+  collection: CollectionDefinition,
+  renames: Map<string, string>,
+): CollectionDefinition => {
+  const fields = {};
+  Object.keys(collection.fields).forEach(name => {
+    const field = collection.fields[name];
+    const target = field.targetClass;
+    fields[name] = isReference(field) && target && renames.has(target)
+      ? Object.assign({}, field, { targetClass: renames.get(target) })
+      : field;
+  });
+  return Object.assign({}, collection, { fields });
+};
+
+// The order of an index key matters, so compare its entries. Options
+// are only compared when the old index knows them, which indexes read
+// through the Parse REST API don't, and the ones MongoDB fills in only
+// when the new index declares them.
+const indexesEqual = (newIndex: IndexDefinition, oldIndex: IndexDefinition): boolean => {
+  const newOptions: Object = newIndex.options || {};
+  const undeclared = defaultedIndexOptions.filter(option => newOptions[option] === undefined);
+  return deepEquals(Object.entries(newIndex.key), Object.entries(oldIndex.key))
+    && (oldIndex.options === undefined
+        || deepEquals(newOptions, omit(oldIndex.options, undeclared)));
+};
+
+// Changing the type of a column loses its values, changing its options
+// doesn't, so the two are compared separately
+const columnTypesEqual = (newField: ColumnDefinition, oldField: ?ColumnDefinition): boolean => (
+  !!oldField && deepEquals(omit(newField, columnOptionNames), omit(oldField, columnOptionNames))
+);
+
+const columnOptionsEqual = (newField: ColumnDefinition, oldField: ColumnDefinition): boolean => (
+  deepEquals(columnOptions(newField), columnOptions(oldField))
+);
+
+// `renamedFrom` only guides planning, Parse never sees it
+const withoutRename = (definition: ColumnDefinition): ColumnDefinition => (
+  omit(definition, ['renamedFrom'])
+);
+
+const withoutRenames = (collection: CollectionDefinition): CollectionDefinition => {
+  const fields = {};
+  Object.keys(collection.fields).forEach(name => {
+    fields[name] = withoutRename(collection.fields[name]);
+  });
+  return Object.assign(omit(collection, ['renamedFrom']), { fields });
+};
+
 const planCollections = (
   newSchema: Array<CollectionDefinition>,
   oldSchema: Array<CollectionDefinition>,
+  oldTriggers: Array<TriggerDefinition> = [],
 ): Array<Command> => {
-  const oldColMap = new Map(oldSchema.map(c => [c.className, c]));
+  const renames = collectionRenames(newSchema, oldSchema);
+  // References to a renamed class are repointed by the rename, so
+  // they are compared as if that had happened already
+  const oldColMap = new Map(oldSchema.map(c => [c.className, retargetReferences(c, renames)]));
   const newColMap = new Map(newSchema.map(c => [c.className, c]));
 
   // TODO consolidate loops to improve performance
@@ -61,17 +177,39 @@ const planCollections = (
     const oc = oldColMap;
     const nc = [];
     newSchema.forEach(collection => {
-      if (!oc.has(collection.className)) {
-        nc.push(AddCollection(collection));
+      if (!oc.has(collection.className) && !renames.has(collection.renamedFrom || '')) {
+        nc.push(AddCollection(withoutRenames(collection)));
       }
     });
     return nc;
   })();
+  const renamedCollections = (() => {
+    const rc = [];
+    newSchema.forEach(collection => {
+      const from = collection.renamedFrom;
+      if (from && renames.get(from) === collection.className) {
+        rc.push(RenameCollection(
+          from,
+          withoutRenames(collection),
+          // Undeclared built-in classes are kept, so their pointers follow too
+          findReferences(
+            oldSchema.filter(c => newColMap.has(c.className) || isBuiltInClass(c.className)),
+            from
+          ),
+          oldTriggers.filter(t => t.className === from)
+        ));
+      }
+    });
+    return rc;
+  })();
   const deletedCollections = (() => {
     const nc = newColMap;
     const dc = [];
     oldSchema.forEach(collection => {
-      if (!nc.has(collection.className)) {
+      // Built-in classes are never deleted, declared or not
+      if (!nc.has(collection.className)
+          && !renames.has(collection.className)
+          && !isBuiltInClass(collection.className)) {
         dc.push(DeleteCollection(collection.className));
       }
     });
@@ -86,12 +224,16 @@ const planCollections = (
         return; // New Collection, handled above
       }
 
-      // NOTE: parse-server#3.x adds two default class level
-      // permissions: count and protectedFields. For now, ignore these
-      // fields until we're on v3 everywhere
-      const version3CLP = ['count', 'protectedFields'];
-      const newPerms = omit(collection.classLevelPermissions, version3CLP);
-      const oldPerms = omit(old.classLevelPermissions, version3CLP);
+      // parse-server 3 adds defaults for count and protectedFields.
+      // Schemas that leave them out keep whatever the server has.
+      const oldPerms = old.classLevelPermissions || {};
+      const kept: Object = {};
+      version3Permissions.forEach(name => {
+        if ((collection.classLevelPermissions || {})[name] === undefined && oldPerms[name] !== undefined) {
+          kept[name] = oldPerms[name];
+        }
+      });
+      const newPerms = Object.assign(kept, collection.classLevelPermissions);
       if (!deepEquals(newPerms, oldPerms)) {
         nc.push(UpdateCollectionPermissions(collection.className, newPerms, oldPerms));
       }
@@ -106,13 +248,24 @@ const planCollections = (
       if (old === undefined) {
         return; // New Collection, handled above
       }
+      // Fields parse-server manages itself are never planned
+      const implicit = implicitFields(collection.className);
       const fields: { [string]: ColumnDefinition } = collection.fields;
-      Object.keys(fields).forEach((name) => {
+      Object.keys(fields).filter(name => !implicit[name]).forEach((name) => {
         const oldField = old.fields[name];
-        if (oldField === undefined) {
-          nc.push(AddColumn(collection.className, name, fields[name]));
-        } else if (!deepEquals(oldField, fields[name])) {
-          nc.push(UpdateColumn(collection.className, name, fields[name]));
+        const definition = withoutRename(fields[name]);
+        const from = fields[name].renamedFrom;
+        // A rename left part way keeps both columns until it's resumed.
+        // Renames to another type are planned for verifyPlan to refuse.
+        if (from && old.fields[from] !== undefined
+            && (oldField === undefined || columnTypesEqual(definition, oldField))) {
+          nc.push(RenameColumn(collection.className, from, name, definition));
+        } else if (oldField === undefined) {
+          nc.push(AddColumn(collection.className, name, definition));
+        } else if (!columnTypesEqual(definition, oldField)) {
+          nc.push(UpdateColumn(collection.className, name, definition));
+        } else if (!columnOptionsEqual(definition, oldField)) {
+          nc.push(UpdateColumnOptions(collection.className, name, definition));
         }
       });
     });
@@ -127,10 +280,16 @@ const planCollections = (
       if (newC === undefined) {
         return; // Deleted Collection, handled above
       }
+      // Fields parse-server manages itself are never planned
+      const implicit = implicitFields(collection.className);
       const fields: { [string]: ColumnDefinition } = collection.fields;
-      Object.keys(fields).forEach((name) => {
+      const renamed = (name: string): boolean => newColumns.some(c => (
+        c.type === RenameColumn.type && c.collection === collection.className && c.from === name
+      ));
+      Object.keys(fields).filter(name => !implicit[name]).forEach((name) => {
         const newField = newC.fields[name];
-        if (newField === undefined) {
+        // Renamed columns are dropped once their values are copied
+        if (newField === undefined && !renamed(name)) {
           dc.push(DeleteColumn(collection.className, name));
         }
       });
@@ -150,7 +309,7 @@ const planCollections = (
         const oldIndex = (old.indexes || {})[name];
         if (oldIndex === undefined) {
           ni.push(AddIndex(collection.className, name, indexes[name]));
-        } else if (!deepEquals(oldIndex, indexes[name])) {
+        } else if (!indexesEqual(indexes[name], oldIndex)) {
           ni.push(UpdateIndex(collection.className, name, indexes[name]));
         }
       });
@@ -180,6 +339,7 @@ const planCollections = (
   // Order matters here. New columns must be added before
   // indices which use them
   return newCollections.concat(
+    renamedCollections,
     deletedCollections,
     updatedPermissions,
     deletedIndexes,
@@ -268,8 +428,46 @@ const planTriggers = (
   return deletedTriggers.concat(newTriggers);
 };
 
+/**
+ * Adds the pointers and relations that target a renamed collection
+ * from classes the plan doesn't see, such as ignored ones, so that
+ * they are repointed too. `liveSchema` is the schema of the server
+ * before any ignore rules were applied.
+ */
+const addIgnoredReferences = (
+  commands: Array<Command>,
+  liveSchema: Schema
+): Array<Command> => {
+  const goneClasses = new Set();
+  commands.forEach(command => {
+    if (command.type === DeleteCollection.type) {
+      goneClasses.add(command.collectionName);
+    } else if (command.type === RenameCollection.type) {
+      goneClasses.add(command.from);
+    }
+  });
+  const keptClasses = liveSchema.collections.filter(c => !goneClasses.has(c.className));
+  return commands.map(command => {
+    if (command.type !== RenameCollection.type) {
+      return command;
+    }
+    const known = new Set(command.references.map(r => `${r.collection}.${r.name}`));
+    const ignored = findReferences(keptClasses, command.from)
+      .filter(r => !known.has(`${r.collection}.${r.name}`));
+    return ignored.length > 0
+      ? RenameCollection(
+        command.from,
+        command.definition,
+        command.references.concat(ignored),
+        command.triggers
+      )
+      : command;
+  });
+};
+
 export {
   plan,
+  addIgnoredReferences,
   planCollections,
   planFunctions,
   planTriggers,
@@ -0,0 +1,136 @@
+// @flow
+
+import {
+  AddCollection,
+  DeleteCollection,
+  RenameCollection,
+  AddFunction,
+  DeleteFunction,
+  UpdateFunction,
+  AddTrigger,
+  DeleteTrigger,
+  UpdateTrigger,
+  commandTypes,
+} from './command';
+
+import type { Command } from './command';
+
+import { matchesGlob } from './glob';
+import { InvalidPolicyError } from './errors';
+
+export type PolicyEffect = 'allow' | 'deny';
+
+// A rule applies to commands whose type matches one of `commands`,
+// and, if given, whose class matches one of `collections`. Both are
+// lists of glob patterns.
+export type PolicyRule = {
+  effect: PolicyEffect,
+  commands: Array<string>,
+  collections?: Array<string>
+}
+
+// Rules are evaluated in order and the first one that applies to a
+// command decides. Commands no rule applies to get the default effect.
+export type Policy = {
+  default?: PolicyEffect,
+  rules: Array<PolicyRule>
+}
+
+const effects = ['allow', 'deny'];
+
+// The class a command changes, if any
+const commandClass = (command: Command): ?string => {
+  switch (command.type) {
+    case AddCollection.type:
+    case RenameCollection.type:
+      return command.definition.className;
+    case DeleteCollection.type:
+      return command.collectionName;
+    case AddFunction.type:
+    case DeleteFunction.type:
+    case UpdateFunction.type:
+      return null;
+    case AddTrigger.type:
+    case UpdateTrigger.type:
+      return command.definition.className;
+    case DeleteTrigger.type:
+      return command.className;
+    default:
+      return command.collection;
+  }
+};
+
+const ruleApplies = (rule: PolicyRule, command: Command): boolean => {
+  if (!matchesGlob(command.type, rule.commands)) {
+    return false;
+  }
+  const collections = rule.collections;
+  if (!collections) {
+    return true;
+  }
+  const className = commandClass(command);
+  return !!className && matchesGlob(className, collections);
+};
+
+/**
+ * Returns every command the policy doesn't allow.
+ */
+const evaluatePolicy = (commands: Array<Command>, policy: Policy): Array<Command> => (
+  commands.filter(command => {
+    const rule = policy.rules.find(r => ruleApplies(r, command));
+    const effect = rule ? rule.effect : (policy.default || 'allow');
+    return effect === 'deny';
+  })
+);
+
+const asList = (value: mixed): Array<string> => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+const parseRule = (rule: Object, file: string): PolicyRule => {
+  if (!effects.includes(rule.effect)) {
+    throw new InvalidPolicyError(file, `rule effect must be "allow" or "deny", not "${rule.effect}"`);
+  }
+  const commands = asList(rule.commands);
+  if (commands.length === 0) {
+    throw new InvalidPolicyError(file, 'every rule needs a list of commands');
+  }
+  // A misspelled command would never match, silently allowing what it denies
+  const unknown = commands.filter(pattern => !commandTypes.some(type => matchesGlob(type, [pattern])));
+  if (unknown.length > 0) {
+    throw new InvalidPolicyError(
+      file,
+      `${unknown.map(pattern => `"${pattern}"`).join(', ')} ${unknown.length === 1 ? 'matches' : 'match'} no command`
+    );
+  }
+  return rule.collections === undefined
+    ? { effect: rule.effect, commands }
+    : { effect: rule.effect, commands, collections: asList(rule.collections) };
+};
+
+/**
+ * Picks the policy for an environment out of a policy file, which
+ * holds one policy per environment under `environments`.
+ */
+const selectPolicy = (document: Object, env: string, file: string): Policy => {
+  const environments = (document && document.environments) || {};
+  const policy = environments[env];
+  if (!policy) {
+    throw new InvalidPolicyError(file, `no policy for environment "${env}"`);
+  }
+  if (policy.default !== undefined && !effects.includes(policy.default)) {
+    throw new InvalidPolicyError(file, `default must be "allow" or "deny", not "${policy.default}"`);
+  }
+  const rules = (policy.rules || []).map(rule => parseRule(rule, file));
+  return policy.default === undefined
+    ? { rules }
+    : { default: policy.default, rules };
+};
+
+export {
+  evaluatePolicy,
+  selectPolicy,
+}
@@ -3,22 +3,140 @@
 export type Schema = {
   collections: Array<CollectionDefinition>,
   functions: Array<FunctionDefinition>,
-  triggers: Array<TriggerDefinition>
+  triggers: Array<TriggerDefinition>,
+  ignore?: IgnoreRules,
+  sources?: SchemaSources,
+  variables?: SchemaVariables,
+  // The overlay of the environment merged into the schema, if any
+  overlay?: string
 }
 
+// Glob patterns for things parseconfig should leave alone. Fields,
+// indexes and triggers are matched as `className.name`.
+export type IgnoreRules = {
+  collections?: Array<string>,
+  fields?: Array<string>,
+  indexes?: Array<string>,
+  functions?: Array<string>,
+  triggers?: Array<string>
+}
+
+// The files each definition was loaded from, keyed by class name,
+// function name and `className.triggerName`
+export type SchemaSources = {
+  collections: { [string]: Array<string> },
+  functions: { [string]: Array<string> },
+  triggers: { [string]: Array<string> }
+}
+
+// The environment variables interpolated into the schema, each mapped
+// to its value, or to null when its default was used
+export type SchemaVariables = { [string]: ?string }
+
 export type CollectionDefinition = {
   className: string,
   fields: { [string]: ColumnDefinition },
   classLevelPermissions: CollectionPermissions,
-  indexes?: { [string]: IndexDefinition }
+  indexes?: { [string]: IndexDefinition },
+  // Name the class had before, whose objects are moved over once.
+  // Only used for planning, never sent to Parse.
+  renamedFrom?: string,
+  // Mixins and collections whose fields, indexes and permissions are
+  // included. Expanded when the schema is loaded.
+  extends?: Array<string> | string
 }
 
 export type ColumnDefinition = {
   type: string,
-  targetClass?: string
+  targetClass?: string,
+  // Supported by parse-server 3.7 and later
+  required?: boolean,
+  defaultValue?: any,
+  // Name the column had before, whose values are copied over once.
+  // Only used for planning, never sent to Parse.
+  renamedFrom?: string
 }
 
-export type IndexDefinition = { [string]: number }
+// Every type parse-server accepts for a field
+const fieldTypes = [
+  'String',
+  'Number',
+  'Boolean',
+  'Date',
+  'Object',
+  'Array',
+  'Pointer',
+  'Relation',
+  'File',
+  'GeoPoint',
+  'Polygon',
+  'Bytes',
+  'ACL',
+];
+
+// Types that point to other objects and need a targetClass
+const referenceTypes = ['Pointer', 'Relation'];
+
+export type ColumnOptions = {
+  required?: boolean,
+  defaultValue?: any
+}
+
+const columnOptionNames = ['required', 'defaultValue'];
+
+// The options of a field, leaving out those that match parse-server's
+// defaults so `required: false` equals no option at all
+const columnOptions = (definition: ColumnDefinition): ColumnOptions => {
+  const options = {};
+  if (definition.required) {
+    options.required = true;
+  }
+  if (definition.defaultValue !== undefined) {
+    options.defaultValue = definition.defaultValue;
+  }
+  return options;
+};
+
+export type IndexDefinition = {
+  key: IndexKey,
+  // Left out of indexes read through the Parse REST API, which doesn't
+  // know about index options
+  options?: IndexOptions
+}
+
+export type IndexKey = { [string]: number | string }
+
+export type IndexOptions = {
+  unique?: boolean,
+  sparse?: boolean,
+  expireAfterSeconds?: number,
+  partialFilterExpression?: Object
+}
+
+// Options accepted by MongoDB's createIndex
+const indexOptionNames = [
+  'unique',
+  'sparse',
+  'expireAfterSeconds',
+  'partialFilterExpression',
+  'collation',
+  'weights',
+  'default_language',
+  'language_override',
+  '2dsphereIndexVersion',
+  'bits',
+  'min',
+  'max',
+];
+
+// Options MongoDB fills in on its own when creating text and 2dsphere
+// indexes, so they are reported even when nobody declared them
+const defaultedIndexOptions = [
+  'weights',
+  'default_language',
+  'language_override',
+  '2dsphereIndexVersion',
+];
 
 export type CollectionPermissions = {
   find: RolePermissions,
@@ -28,10 +146,178 @@ export type CollectionPermissions = {
   delete: RolePermissions,
   addField: RolePermissions,
   readUserFields: Array<any>,
-  writeUserFields: Array<any>
+  writeUserFields: Array<any>,
+  // Supported by parse-server 3 and later
+  count?: RolePermissions,
+  protectedFields?: { [string]: Array<string> }
 }
 
-export type RolePermissions = { [string]: boolean }
+// Permissions that parse-server 2 doesn't know about
+const version3Permissions = ['count', 'protectedFields'];
+
+// Permissions that grant an operation to roles, users and pointer fields
+const operationPermissions = ['find', 'count', 'get', 'create', 'update', 'delete', 'addField'];
+
+// Permissions that list the _User pointer columns whose users may read or write
+const userFieldPermissions = ['readUserFields', 'writeUserFields'];
+
+export type RolePermissions = {
+  [string]: boolean,
+  // Columns pointing to the users that are granted the operation
+  pointerFields?: Array<string>
+}
+
+// Fields parse-server gives every class
+const defaultFields: { [string]: ColumnDefinition } = {
+  objectId: { type: 'String' },
+  createdAt: { type: 'Date' },
+  updatedAt: { type: 'Date' },
+  ACL: { type: 'ACL' },
+};
+
+export type BuiltInClass = {
+  // Fields the class has on top of the default fields
+  fields: { [string]: ColumnDefinition },
+  // Indexes parse-server creates on the class
+  indexes: Array<string>
+}
+
+// Classes built into parse-server. mongo.js leaves their indexes alone.
+const builtInClasses: { [string]: BuiltInClass } = {
+  _User: {
+    fields: {
+      username: { type: 'String' },
+      password: { type: 'String' },
+      email: { type: 'String' },
+      emailVerified: { type: 'Boolean' },
+      authData: { type: 'Object' },
+    },
+    indexes: ['username_1', 'email_1', 'case_insensitive_username', 'case_insensitive_email'],
+  },
+  _Installation: {
+    fields: {
+      installationId: { type: 'String' },
+      deviceToken: { type: 'String' },
+      channels: { type: 'Array' },
+      deviceType: { type: 'String' },
+      pushType: { type: 'String' },
+      GCMSenderId: { type: 'String' },
+      timeZone: { type: 'String' },
+      localeIdentifier: { type: 'String' },
+      badge: { type: 'Number' },
+      appVersion: { type: 'String' },
+      appName: { type: 'String' },
+      appIdentifier: { type: 'String' },
+      parseVersion: { type: 'String' },
+    },
+    indexes: [],
+  },
+  _Role: {
+    fields: {
+      name: { type: 'String' },
+      users: { type: 'Relation', targetClass: '_User' },
+      roles: { type: 'Relation', targetClass: '_Role' },
+    },
+    indexes: ['name_1'],
+  },
+  _Session: {
+    fields: {
+      restricted: { type: 'Boolean' },
+      user: { type: 'Pointer', targetClass: '_User' },
+      installationId: { type: 'String' },
+      sessionToken: { type: 'String' },
+      expiresAt: { type: 'Date' },
+      createdWith: { type: 'Object' },
+    },
+    indexes: [],
+  },
+  _Product: {
+    fields: {
+      productIdentifier: { type: 'String' },
+      download: { type: 'File' },
+      downloadName: { type: 'String' },
+      icon: { type: 'File' },
+      order: { type: 'Number' },
+      title: { type: 'String' },
+      subtitle: { type: 'String' },
+    },
+    indexes: [],
+  },
+  _PushStatus: {
+    fields: {
+      pushTime: { type: 'String' },
+      source: { type: 'String' },
+      query: { type: 'String' },
+      payload: { type: 'String' },
+      title: { type: 'String' },
+      expiry: { type: 'Number' },
+      expiration_interval: { type: 'Number' },
+      status: { type: 'String' },
+      numSent: { type: 'Number' },
+      numFailed: { type: 'Number' },
+      pushHash: { type: 'String' },
+      errorMessage: { type: 'Object' },
+      sentPerType: { type: 'Object' },
+      failedPerType: { type: 'Object' },
+      sentPerUTCOffset: { type: 'Object' },
+      failedPerUTCOffset: { type: 'Object' },
+      count: { type: 'Number' },
+    },
+    indexes: [],
+  },
+  _JobStatus: {
+    fields: {
+      jobName: { type: 'String' },
+      source: { type: 'String' },
+      status: { type: 'String' },
+      message: { type: 'String' },
+      params: { type: 'Object' },
+      finishedAt: { type: 'Date' },
+    },
+    indexes: [],
+  },
+  _JobSchedule: {
+    fields: {
+      jobName: { type: 'String' },
+      description: { type: 'String' },
+      params: { type: 'String' },
+      startAfter: { type: 'String' },
+      daysOfWeek: { type: 'Array' },
+      timeOfDay: { type: 'String' },
+      lastRun: { type: 'Number' },
+      repeatMinutes: { type: 'Number' },
+    },
+    indexes: [],
+  },
+  _Audience: {
+    fields: {
+      name: { type: 'String' },
+      query: { type: 'String' },
+      lastUsed: { type: 'Date' },
+      timesUsed: { type: 'Number' },
+    },
+    indexes: [],
+  },
+  _Idempotency: {
+    fields: {
+      reqId: { type: 'String' },
+      expire: { type: 'Date' },
+    },
+    indexes: ['reqId_1', 'ttl'],
+  },
+};
+
+const isBuiltInClass = (className: string): boolean => (
+  Object.prototype.hasOwnProperty.call(builtInClasses, className)
+);
+
+/**
+ * The fields parse-server adds to a class on its own, which exist
+ * whether or not the schema declares them.
+ */
+const implicitFields = (className: string): { [string]: ColumnDefinition } => (
+  Object.assign({}, defaultFields, isBuiltInClass(className) ? builtInClasses[className].fields : {})
+);
 
 export type FunctionDefinition = {
   functionName: string,
@@ -39,15 +325,49 @@ export type FunctionDefinition = {
 }
 
 // Just here to DRY up the typetime/runtime definitions since
-// there is no equivalent of $Keys for array literals.
+// there is no equivalent of $Keys for array literals. Each trigger
+// type maps to the only classes it can be registered on, or null if
+// it works on any class.
 const triggerTypesObj = {
   beforeSave: null,
   afterSave: null,
   beforeDelete: null,
   afterDelete: null,
+  beforeFind: null,
+  afterFind: null,
+  beforeLogin: ['_User'],
+  afterLogin: ['_User'],
+  afterLogout: ['_Session'],
+  beforeSaveFile: ['@File'],
+  afterSaveFile: ['@File'],
+  beforeDeleteFile: ['@File'],
+  afterDeleteFile: ['@File'],
+  beforeConnect: ['@Connect'],
+  beforeSubscribe: null,
+  afterEvent: null,
 };
 const triggerTypes = Object.keys(triggerTypesObj);
 
+// Classes that only accept some trigger types. The pseudo-classes
+// `@File` and `@Connect` stand for file and LiveQuery connection
+// triggers, and aren't collections.
+const triggerRestrictedClasses = {
+  _Session: ['afterLogout'],
+  _PushStatus: ['afterSave'],
+  '@File': ['beforeSaveFile', 'afterSaveFile', 'beforeDeleteFile', 'afterDeleteFile'],
+  '@Connect': ['beforeConnect'],
+};
+const triggerPseudoClasses = ['@File', '@Connect'];
+
+const isTriggerAllowed = (triggerName: string, className: string): boolean => {
+  const classes = triggerTypesObj[triggerName];
+  if (classes) {
+    return classes.includes(className);
+  }
+  const allowed = triggerRestrictedClasses[className];
+  return allowed ? allowed.includes(triggerName) : true;
+};
+
 export type TriggerType = $Keys<typeof triggerTypesObj>;
 
 export type TriggerDefinition = {
@@ -58,7 +378,33 @@ export type TriggerDefinition = {
 
 const prettyPrintCollectionPermissions = (cp: CollectionPermissions) => JSON.stringify(cp);
 
+const prettyPrintTriggerClass = (className: string): string => {
+  switch (className) {
+    case '@File':
+      return 'files';
+    case '@Connect':
+      return 'LiveQuery connections';
+    default:
+      return `"${className}"`;
+  }
+};
+
 export {
+  fieldTypes,
+  referenceTypes,
+  columnOptionNames,
+  columnOptions,
+  version3Permissions,
+  operationPermissions,
+  userFieldPermissions,
+  indexOptionNames,
+  defaultedIndexOptions,
+  builtInClasses,
+  isBuiltInClass,
+  implicitFields,
   triggerTypes,
-  prettyPrintCollectionPermissions
+  triggerPseudoClasses,
+  isTriggerAllowed,
+  prettyPrintCollectionPermissions,
+  prettyPrintTriggerClass,
 }
@@ -10,14 +10,26 @@ import type {
 // ValidationErrors are strings at runtime
 export opaque type ValidationError = string;
 
-const duplicateClass = (collection: CollectionDefinition): ValidationError => (
-  `Duplicate definitions for class ${collection.className}`
+const inFiles = (files: Array<string>): string => (
+  files.length > 0 ? ` in ${files.join(', ')}` : ''
+);
+
+const duplicateClass = (collection: CollectionDefinition, files: Array<string> = []): ValidationError => (
+  `Duplicate definitions for class ${collection.className}${inFiles(files)}`
+);
+
+const invalidClassRename = (className: string, reason: string): ValidationError => (
+  `Invalid rename of class ${className}: ${reason}`
 );
 
 const invalidIndex = (indexName: string, fieldName: string, collectionName: string): ValidationError => (
   `Invalid index: ${indexName} on collection ${collectionName} includes non-existent column "${fieldName}"`
 );
 
+const invalidIndexOption = (indexName: string, option: string, collectionName: string): ValidationError => (
+  `Invalid index: ${indexName} on collection ${collectionName} has unknown option "${option}"`
+);
+
 const duplicateIndex = (index: string, className: string): ValidationError => (
   `Duplicate definitions for index ${index} on ${className}`
 );
@@ -26,8 +38,44 @@ const duplicateColumn = (field: string, className: string): ValidationError => (
   `Duplicate definitions for field ${field} on ${className}`
 );
 
-const duplicateTrigger = (trigger: TriggerDefinition): ValidationError => (
-  `Duplicate definitions for trigger ${trigger.className}.${trigger.triggerName}`
+const invalidRename = (field: string, className: string, reason: string): ValidationError => (
+  `Invalid rename of field ${field} on ${className}: ${reason}`
+);
+
+const invalidFieldType = (field: string, className: string, type: string): ValidationError => (
+  `Invalid field ${field} on ${className}: unknown type "${type}"`
+);
+
+const unexpectedTargetClass = (field: string, className: string, type: string): ValidationError => (
+  `Invalid field ${field} on ${className}: ${type} columns can't have a targetClass`
+);
+
+const multipleGeoPoints = (fields: Array<string>, className: string): ValidationError => (
+  `Invalid fields ${fields.join(', ')} on ${className}: a class can have only one GeoPoint column`
+);
+
+const invalidFieldOption = (field: string, className: string, reason: string): ValidationError => (
+  `Invalid field ${field} on ${className}: ${reason}`
+);
+
+const missingTargetClass = (field: string, className: string, type: string): ValidationError => (
+  `Invalid field ${field} on ${className}: ${type} columns need a targetClass`
+);
+
+const danglingReference = (field: string, className: string, targetClass: string): ValidationError => (
+  `Invalid field ${field} on ${className}: target class ${targetClass} does not exist`
+);
+
+const referenceToDeletedClass = (field: string, className: string, targetClass: string): ValidationError => (
+  `Field ${field} on ${className} points to class ${targetClass}, which would be deleted`
+);
+
+const referenceToRenamedClass = (field: string, className: string, targetClass: string): ValidationError => (
+  `Field ${field} on ${className} points to class ${targetClass}, which would be renamed without repointing it`
+);
+
+const duplicateTrigger = (trigger: TriggerDefinition, files: Array<string> = []): ValidationError => (
+  `Duplicate definitions for trigger ${trigger.className}.${trigger.triggerName}${inFiles(files)}`
 );
 
 const invalidTrigger = (trigger: TriggerDefinition): ValidationError => (
@@ -42,31 +90,93 @@ const invalidTriggerClass = (trigger: TriggerDefinition): ValidationError => (
   `Invalid trigger class "${trigger.className}" for trigger of type "${trigger.triggerName}"`
 );
 
+const invalidTriggerForClass = (trigger: TriggerDefinition): ValidationError => (
+  `Trigger of type "${trigger.triggerName}" is not allowed on class "${trigger.className}"`
+);
+
 const invalidFunction = (func: FunctionDefinition): ValidationError => (
   `Invalid function "${func.functionName}"`
 );
 
-const duplicateFunction = (func: FunctionDefinition): ValidationError => (
-  `Duplicate definitions for function ${func.functionName}`
+const duplicateFunction = (func: FunctionDefinition, files: Array<string> = []): ValidationError => (
+  `Duplicate definitions for function ${func.functionName}${inFiles(files)}`
+);
+
+const invalidPermission = (permName: string, key: string, className: string, reason: string): ValidationError => (
+  `Invalid permission ${permName} on collection ${className}: "${key}" ${reason}`
+);
+
+const unknownPermission = (permName: string, className: string): ValidationError => (
+  `Unknown permission ${permName} on collection ${className}`
+);
+
+const invalidProtectedField = (key: string, fieldName: string, className: string): ValidationError => (
+  `Invalid protectedFields on collection ${className}: ${key} protects non-existent column "${fieldName}"`
+);
+
+const unknownPermissionPreset = (preset: string, className: string): ValidationError => (
+  `Unknown permission preset "${preset}" on collection ${className}`
+);
+
+const duplicatePermissionPreset = (preset: string, files: Array<string> = []): ValidationError => (
+  `Duplicate definitions for permission preset ${preset}${inFiles(files)}`
+);
+
+const unknownMixin = (mixin: string, extendedBy: string): ValidationError => (
+  `Unknown mixin or collection "${mixin}" extended by ${extendedBy}`
+);
+
+const duplicateMixin = (mixin: string, files: Array<string> = []): ValidationError => (
+  `Duplicate definitions for mixin ${mixin}${inFiles(files)}`
+);
+
+const circularExtends = (path: Array<string>): ValidationError => (
+  `Circular extends: ${path.join(' -> ')}`
+);
+
+// `part` is fields, indexes or classLevelPermissions
+const conflictingMixins = (part: string, key: string, extendedBy: string, mixins: Array<string>): ValidationError => (
+  `Conflicting ${part} "${key}" in ${mixins.join(' and ')}, extended by ${extendedBy}`
 );
 
-const invalidPermission = (permName: string, className: string): ValidationError => (
-  `Invalid permission ${permName} on collection ${className}; permission values must be \`true\``
+const undefinedVariable = (name: string, files: Array<string> = []): ValidationError => (
+  `Environment variable ${name} is not set and has no default${inFiles(files)}`
 );
 
 const prettyPrintValidationError = (error: ValidationError): string => error;
 
 export {
   duplicateClass,
+  invalidClassRename,
   invalidIndex,
+  invalidIndexOption,
   duplicateIndex,
   duplicateColumn,
+  invalidRename,
+  invalidFieldType,
+  unexpectedTargetClass,
+  multipleGeoPoints,
+  invalidFieldOption,
+  missingTargetClass,
+  danglingReference,
+  referenceToDeletedClass,
+  referenceToRenamedClass,
   duplicateTrigger,
   invalidTrigger,
   invalidTriggerName,
   invalidTriggerClass,
+  invalidTriggerForClass,
   invalidFunction,
   duplicateFunction,
   invalidPermission,
+  unknownPermission,
+  invalidProtectedField,
+  unknownPermissionPreset,
+  duplicatePermissionPreset,
+  unknownMixin,
+  duplicateMixin,
+  circularExtends,
+  conflictingMixins,
+  undefinedVariable,
   prettyPrintValidationError
 }
@@ -0,0 +1,92 @@
+// @flow
+
+import type { SchemaVariables } from './schema';
+
+export type Environment = { [string]: ?string };
+
+// `${NAME}` or `${NAME:-default}`, with a leading `$` escaping it
+const variablePattern = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+type Interpolation = {
+  value: any,
+  variables: SchemaVariables,
+  missing: Array<string>
+}
+
+// Applies `replace` to every string and key of a parsed document
+const mapStrings = (document: mixed, replace: (text: string) => string): any => {
+  const visit = (value: any): any => {
+    if (typeof value === 'string') {
+      return replace(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(visit);
+    }
+    if (value && typeof value === 'object') {
+      const replaced = {};
+      Object.keys(value).forEach(key => {
+        replaced[replace(key)] = visit(value[key]);
+      });
+      return replaced;
+    }
+    return value;
+  };
+  return visit(document);
+};
+
+/**
+ * Replaces the environment variables in every string and key of a
+ * parsed document. Like in a shell, the default of `${NAME:-default}`
+ * is used when the variable is unset or empty. Variables without a
+ * default that are unset are listed as missing instead. `$${NAME}` is
+ * left as the literal text `${NAME}`.
+ */
+const interpolate = (document: mixed, environment: Environment): Interpolation => {
+  const variables: SchemaVariables = {};
+  const missing = [];
+
+  const replace = (text: string): string => text.replace(
+    variablePattern,
+    (match: string, escape: string, name: string, defaultValue: ?string) => {
+      if (escape) {
+        return match.slice(1);
+      }
+      const value = environment[name];
+      if (value !== undefined && value !== null && value !== '') {
+        variables[name] = value;
+        return value;
+      }
+      if (defaultValue !== undefined && defaultValue !== null) {
+        variables[name] = null;
+        return defaultValue;
+      }
+      if (!missing.includes(name)) {
+        missing.push(name);
+      }
+      return match;
+    }
+  );
+
+  return { value: mapStrings(document, replace), variables, missing };
+};
+
+/**
+ * Escapes everything that looks like a variable in a document, such as
+ * an exported schema, so that interpolating it gives the document back.
+ */
+const escapeVariables = (document: mixed): any => (
+  mapStrings(document, text => text.replace(variablePattern, match => `$${match}`))
+);
+
+const prettyPrintVariables = (variables: SchemaVariables): string => (
+  Object.keys(variables)
+    .sort()
+    .map(name => (variables[name] === null ? `${name} (default)` : name))
+    .join(', ')
+);
+
+export {
+  interpolate,
+  escapeVariables,
+  prettyPrintVariables,
+}
@@ -1,7 +1,16 @@
 // @flow
 
 import {
-  triggerTypes
+  fieldTypes,
+  referenceTypes,
+  indexOptionNames,
+  triggerTypes,
+  triggerPseudoClasses,
+  isTriggerAllowed,
+  isBuiltInClass,
+  implicitFields,
+  operationPermissions,
+  userFieldPermissions,
 } from './schema';
 
 import type {
@@ -11,47 +20,112 @@ import type {
   ColumnDefinition,
   IndexDefinition,
   TriggerDefinition,
+  SchemaSources,
 } from './schema';
 
 import type { ValidationError } from './validation-error';
 
+import {
+  DeleteCollection,
+  RenameCollection,
+  DeleteColumn,
+  UpdateColumn,
+  RenameColumn,
+} from './command';
+import type { Command, RenameColumnCommand } from './command';
+import { matchesGlob } from './glob';
+
 import {
   duplicateClass,
+  invalidClassRename,
   invalidIndex,
+  invalidIndexOption,
   duplicateIndex,
   duplicateColumn,
+  invalidRename,
+  invalidFieldType,
+  unexpectedTargetClass,
+  multipleGeoPoints,
+  invalidFieldOption,
+  missingTargetClass,
+  danglingReference,
+  referenceToDeletedClass,
+  referenceToRenamedClass,
   duplicateTrigger,
   invalidTrigger,
   invalidTriggerName,
   invalidTriggerClass,
+  invalidTriggerForClass,
   invalidPermission,
+  unknownPermission,
+  invalidProtectedField,
   invalidFunction,
   duplicateFunction,
 } from './validation-error';
 
+const emptySources: SchemaSources = {
+  collections: {},
+  functions: {},
+  triggers: {}
+};
+
 const verifySchema = (schema: Schema): Array<ValidationError> => {
-  return verifyCollections(schema.collections).concat(
-    verifyFunctions(schema.functions),
-    verifyTriggers(schema.triggers, schema.collections)
+  const sources = schema.sources || emptySources;
+  return verifyCollections(schema.collections, sources).concat(
+    verifyReferences(schema.collections, (schema.ignore || {}).collections || []),
+    verifyFunctions(schema.functions, sources),
+    verifyTriggers(schema.triggers, schema.collections, sources)
   );
 };
 
-// Verify that deleted collections are empty before executing
 // Verify that the classes exist for each trigger
-const verifyCollections = (collections: Array<CollectionDefinition>): Array<ValidationError> => {
+const verifyCollections = (
+  collections: Array<CollectionDefinition>,
+  sources: SchemaSources
+): Array<ValidationError> => {
   const errors: Array<ValidationError> = [];
   const names = new Set();
   collections.forEach(coll => {
     errors.push(...verifyCollectionIndexes(coll));
     errors.push(...verifyIndexUniqueness(coll));
     errors.push(...verifyColumnUniqueness(coll));
+    errors.push(...verifyFieldTypes(coll));
+    errors.push(...verifyFieldOptions(coll));
+    errors.push(...verifyRenames(coll));
     errors.push(...verifyPermissions(coll));
+    errors.push(...verifyProtectedFields(coll));
     if (names.has(coll.className)) {
-      errors.push(duplicateClass(coll));
+      errors.push(duplicateClass(coll, sources.collections[coll.className]));
     } else {
       names.add(coll.className);
     }
   });
+  errors.push(...verifyClassRenames(collections));
+  return errors;
+};
+
+const verifyClassRenames = (collections: Array<CollectionDefinition>): Array<ValidationError> => {
+  const errors = [];
+  const declared = new Set(collections.map(c => c.className));
+  const renamed = new Set();
+  collections.forEach(collection => {
+    const from = collection.renamedFrom;
+    if (from === undefined) {
+      return;
+    }
+    if (declared.has(from)) {
+      errors.push(invalidClassRename(collection.className, `"${from}" is still declared`));
+    } else if (renamed.has(from)) {
+      errors.push(invalidClassRename(collection.className, `"${from}" is renamed more than once`));
+    }
+    if (isBuiltInClass(from) || isBuiltInClass(collection.className)) {
+      errors.push(invalidClassRename(collection.className, 'built-in classes can\'t be renamed'));
+    }
+    if (Object.keys(collection.fields).some(name => collection.fields[name].type === 'Relation')) {
+      errors.push(invalidClassRename(collection.className, 'the values of relations can\'t be copied'));
+    }
+    renamed.add(from);
+  });
   return errors;
 };
 
@@ -59,7 +133,12 @@ const verifyCollectionIndexes = (collection: CollectionDefinition): Array<Valida
   const errors = [];
   Object.keys(collection.indexes || {}).forEach((indexName) => {
     const indexDef = (collection.indexes || {})[indexName];
-    Object.keys(indexDef).forEach((indexCol) => {
+    Object.keys(indexDef.options || {}).forEach((option) => {
+      if (!indexOptionNames.includes(option)) {
+        errors.push(invalidIndexOption(indexName, option, collection.className));
+      }
+    });
+    Object.keys(indexDef.key).forEach((indexCol) => {
       // columns added automatically by Parse
       if (['_id', '_updated_at', '_created_at', '_session_token', '_rperm'].includes(indexCol)) {
         return;
@@ -67,7 +146,8 @@ const verifyCollectionIndexes = (collection: CollectionDefinition): Array<Valida
 
       // Properly handle columns that are pointers
       const trueName = indexCol.replace(/^_p_/, '');
-      if (!Object.keys(collection.fields).find((columnName) => columnName === trueName)) {
+      const fields = Object.assign({}, implicitFields(collection.className), collection.fields);
+      if (!Object.keys(fields).find((columnName) => columnName === trueName)) {
         errors.push(invalidIndex(indexName, indexCol, collection.className));
       }
     });
@@ -75,13 +155,104 @@ const verifyCollectionIndexes = (collection: CollectionDefinition): Array<Valida
   return errors;
 };
 
+// Keys a permission may grant an operation to, besides pointerFields
+const publicKey = '*';
+const authenticatedKey = 'requiresAuthentication';
+const roleKey = /^role:[A-Za-z0-9_\- ]+$/;
+// parse-server's objectIds are 10 characters long, which tells a user id
+// apart from a misspelled keyword
+const userIdKey = /^[A-Za-z0-9]{10}$/;
+
+// Columns whose values are users, as readUserFields, writeUserFields
+// and pointerFields expect
+const isUserPointer = (collection: CollectionDefinition, name: string): boolean => {
+  const field = (collection.fields || {})[name];
+  return !!field && field.type === 'Pointer' && field.targetClass === '_User';
+};
+
+const verifyUserPointers = (
+  collection: CollectionDefinition,
+  permName: string,
+  key: string,
+  names: any
+): Array<ValidationError> => {
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return [invalidPermission(permName, key, collection.className, 'must be a list of column names')];
+  }
+  return names
+    .filter(name => !isUserPointer(collection, name))
+    .map(name => invalidPermission(permName, name, collection.className, 'is not a pointer to _User'));
+};
+
+const verifyOperationPermission = (
+  collection: CollectionDefinition,
+  permName: string,
+  perm: Object
+): Array<ValidationError> => {
+  if (!perm || typeof perm !== 'object' || Array.isArray(perm)) {
+    return [invalidPermission(permName, permName, collection.className, 'must map roles and users to `true`')];
+  }
+  const errors = [];
+  Object.keys(perm).forEach(key => {
+    const value = perm[key];
+    if (key === 'pointerFields') {
+      errors.push(...verifyUserPointers(collection, permName, key, value));
+      return;
+    }
+    if (key !== publicKey && key !== authenticatedKey && !roleKey.test(key) && !userIdKey.test(key)) {
+      errors.push(invalidPermission(
+        permName, key, collection.className, 'is not *, requiresAuthentication, pointerFields, a role or a user id'
+      ));
+    } else if (value !== true) {
+      errors.push(invalidPermission(permName, key, collection.className, 'must be `true`'));
+    }
+  });
+  return errors;
+};
+
 const verifyPermissions = (collection: CollectionDefinition): Array<ValidationError> => {
   const errors = [];
-  const names = new Set();
-  Object.entries(collection.classLevelPermissions || {}).forEach(([name, perm]) => {
-    Object.values(perm).forEach(v => {
-      if (v !== true) {
-        errors.push(invalidPermission(name, collection.className));
+  const permissions: Object = collection.classLevelPermissions || {};
+  Object.keys(permissions).forEach(name => {
+    const perm = permissions[name];
+    if (operationPermissions.includes(name)) {
+      errors.push(...verifyOperationPermission(collection, name, perm));
+    } else if (userFieldPermissions.includes(name)) {
+      errors.push(...verifyUserPointers(collection, name, name, perm));
+    } else if (name !== 'protectedFields') { // Checked on its own
+      errors.push(unknownPermission(name, collection.className));
+    }
+  });
+  return errors;
+};
+
+const verifyProtectedFields = (collection: CollectionDefinition): Array<ValidationError> => {
+  const errors = [];
+  const protectedFields = (collection.classLevelPermissions || {}).protectedFields || {};
+  const fields = Object.assign({}, implicitFields(collection.className), collection.fields);
+  Object.keys(protectedFields).forEach(key => {
+    const userField = key.replace(/^userField:/, '');
+    if (userField !== key) {
+      if (!isUserPointer(collection, userField)) {
+        errors.push(invalidPermission(
+          'protectedFields', key, collection.className, `names "${userField}", which is not a pointer to _User`
+        ));
+      }
+    } else if (key !== publicKey && key !== 'authenticated' && !roleKey.test(key) && !userIdKey.test(key)) {
+      errors.push(invalidPermission(
+        'protectedFields', key, collection.className, 'is not *, authenticated, a userField, a role or a user id'
+      ));
+    }
+    const fieldNames = protectedFields[key];
+    if (!Array.isArray(fieldNames)) {
+      errors.push(invalidPermission(
+        'protectedFields', key, collection.className, 'must be a list of column names'
+      ));
+      return;
+    }
+    fieldNames.forEach(fieldName => {
+      if (fields[fieldName] === undefined) {
+        errors.push(invalidProtectedField(key, fieldName, collection.className));
       }
     });
   });
@@ -114,9 +285,216 @@ const verifyColumnUniqueness = (collection: CollectionDefinition): Array<Validat
   return errors;
 };
 
+const verifyRenames = (collection: CollectionDefinition): Array<ValidationError> => {
+  const errors = [];
+  const renamed = new Set();
+  Object.keys(collection.fields || {}).forEach(field => {
+    const from = collection.fields[field].renamedFrom;
+    if (from === undefined) {
+      return;
+    }
+    if (from === field || collection.fields[from] !== undefined) {
+      errors.push(invalidRename(field, collection.className, `"${from}" is still declared`));
+    } else if (renamed.has(from)) {
+      errors.push(invalidRename(field, collection.className, `"${from}" is renamed more than once`));
+    }
+    if (collection.fields[field].type === 'Relation') {
+      errors.push(invalidRename(field, collection.className, 'the values of relations can\'t be copied'));
+    }
+    renamed.add(from);
+  });
+  return errors;
+};
+
+const isEncoded = (value: any, type: string): boolean => (
+  !!value && typeof value === 'object' && value.__type === type
+);
+
+// How the default value of each type is written in the REST format.
+// Relations and ACLs can't have a default.
+const defaultValueMatchers: { [string]: (value: any, field: ColumnDefinition) => boolean } = {
+  String: value => typeof value === 'string',
+  Number: value => typeof value === 'number',
+  Boolean: value => typeof value === 'boolean',
+  Date: value => isEncoded(value, 'Date') && typeof value.iso === 'string',
+  Object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+  Array: value => Array.isArray(value),
+  Pointer: (value, field) => (
+    isEncoded(value, 'Pointer')
+      && value.className === field.targetClass
+      && typeof value.objectId === 'string'
+  ),
+  File: value => isEncoded(value, 'File') && typeof value.name === 'string',
+  GeoPoint: value => (
+    isEncoded(value, 'GeoPoint')
+      && typeof value.latitude === 'number'
+      && typeof value.longitude === 'number'
+  ),
+  Polygon: value => isEncoded(value, 'Polygon') && Array.isArray(value.coordinates),
+  Bytes: value => isEncoded(value, 'Bytes') && typeof value.base64 === 'string',
+};
+
+const verifyFieldOptions = (collection: CollectionDefinition): Array<ValidationError> => {
+  const errors = [];
+  Object.keys(collection.fields || {}).forEach(name => {
+    const field = collection.fields[name];
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      errors.push(invalidFieldOption(name, collection.className, 'required must be true or false'));
+    }
+    // Unknown types are reported on their own
+    if (field.defaultValue === undefined || !fieldTypes.includes(field.type)) {
+      return;
+    }
+    const matches = defaultValueMatchers[field.type];
+    if (!matches) {
+      errors.push(invalidFieldOption(name, collection.className, `${field.type} columns can't have a defaultValue`));
+    } else if (!matches(field.defaultValue, field)) {
+      errors.push(invalidFieldOption(name, collection.className, `defaultValue is not a valid ${field.type}`));
+    }
+  });
+  return errors;
+};
+
+const isReference = (field: ColumnDefinition): boolean => (
+  referenceTypes.includes(field.type)
+);
+
+const verifyFieldTypes = (collection: CollectionDefinition): Array<ValidationError> => {
+  const errors = [];
+  const geoPoints = [];
+  Object.keys(collection.fields || {}).forEach(name => {
+    const field = collection.fields[name];
+    if (!fieldTypes.includes(field.type)) {
+      errors.push(invalidFieldType(name, collection.className, field.type));
+    } else if (field.targetClass !== undefined && !isReference(field)) {
+      errors.push(unexpectedTargetClass(name, collection.className, field.type));
+    }
+    if (field.type === 'GeoPoint') {
+      geoPoints.push(name);
+    }
+  });
+  // parse-server refuses a second GeoPoint field on a class
+  if (geoPoints.length > 1) {
+    errors.push(multipleGeoPoints(geoPoints, collection.className));
+  }
+  return errors;
+};
+
+// Pointers and relations may target declared classes, built-in classes
+// and classes that are ignored, which exist without being declared
+const verifyReferences = (
+  collections: Array<CollectionDefinition>,
+  ignoredCollections: Array<string>
+): Array<ValidationError> => {
+  const errors = [];
+  const declared = new Set(collections.map(c => c.className));
+  collections.forEach(collection => {
+    Object.keys(collection.fields || {}).forEach(name => {
+      const field = collection.fields[name];
+      if (!isReference(field)) {
+        return;
+      }
+      const target = field.targetClass;
+      if (!target) {
+        errors.push(missingTargetClass(name, collection.className, field.type));
+      } else if (!declared.has(target)
+          && !isBuiltInClass(target)
+          && !matchesGlob(target, ignoredCollections)) {
+        errors.push(danglingReference(name, collection.className, target));
+      }
+    });
+  });
+  return errors;
+};
+
+const describeType = (field: ColumnDefinition): string => (
+  field.targetClass ? `${field.type}<${field.targetClass}>` : field.type
+);
+
+/**
+ * Verifies that the commands don't delete a class that is still the
+ * target of a pointer or relation, that renamed classes repoint every
+ * reference to them, and that renamed columns keep their type. Classes
+ * that the plan leaves alone, such as ignored or undeclared built-in
+ * classes, are checked too.
+ */
+const verifyPlan = (commands: Array<Command>, oldSchema: Schema): Array<ValidationError> => {
+  const deletedClasses = new Set();
+  const renamedClasses = new Map();
+  const changedColumns = new Set();
+  const renamedColumns: Array<RenameColumnCommand> = [];
+  // References repointed by each rename that drops the old class
+  const repointed: Map<string, Set<string>> = new Map();
+  commands.forEach(command => {
+    switch (command.type) {
+      case DeleteCollection.type:
+        deletedClasses.add(command.collectionName);
+        break;
+      case RenameCollection.type:
+        renamedClasses.set(command.from, command.definition.className);
+        if (!command.keepOld) {
+          repointed.set(command.from, new Set(command.references.map(r => `${r.collection}.${r.name}`)));
+        }
+        break;
+      case DeleteColumn.type:
+        changedColumns.add(`${command.collection}.${command.columnName}`);
+        break;
+      case UpdateColumn.type:
+        changedColumns.add(`${command.collection}.${command.name}`);
+        break;
+      case RenameColumn.type:
+        renamedColumns.push(command);
+        break;
+      default:
+        break;
+    }
+  });
+  const errors = [];
+  oldSchema.collections
+    .filter(collection => !deletedClasses.has(collection.className) && !repointed.has(collection.className))
+    .forEach(collection => {
+      Object.keys(collection.fields || {}).forEach(name => {
+        const field = collection.fields[name];
+        const target = field.targetClass;
+        const column = `${collection.className}.${name}`;
+        if (!isReference(field) || !target || changedColumns.has(column)) {
+          return;
+        }
+        if (deletedClasses.has(target)) {
+          errors.push(referenceToDeletedClass(name, collection.className, target));
+        }
+        const references = repointed.get(target);
+        if (references && !references.has(column)) {
+          errors.push(referenceToRenamedClass(name, collection.className, target));
+        }
+      });
+    });
+  renamedColumns.forEach(command => {
+    const collection = oldSchema.collections.find(c => c.className === command.collection);
+    const oldField = collection && collection.fields[command.from];
+    if (!oldField) {
+      return;
+    }
+    // References to a renamed class follow it
+    const target = oldField.targetClass;
+    const renamed = target && renamedClasses.has(target)
+      ? Object.assign({}, oldField, { targetClass: renamedClasses.get(target) })
+      : oldField;
+    if (describeType(renamed) !== describeType(command.definition)) {
+      errors.push(invalidRename(
+        command.name,
+        command.collection,
+        `"${command.from}" is a ${describeType(renamed)}, not a ${describeType(command.definition)}`
+      ));
+    }
+  });
+  return errors;
+};
+
 const verifyTriggers = (
   triggers: Array<TriggerDefinition>,
-  collections: Array<CollectionDefinition>
+  collections: Array<CollectionDefinition>,
+  sources: SchemaSources
 ): Array<ValidationError> => {
 
   const errors: Array<ValidationError> = [];
@@ -126,7 +504,7 @@ const verifyTriggers = (
   triggers.forEach(trigger => {
     errors.push(...verifyTrigger(trigger, collectionNames));
     if (names.has(key(trigger))) {
-      errors.push(duplicateTrigger(trigger));
+      errors.push(duplicateTrigger(trigger, sources.triggers[key(trigger)]));
     } else {
       names.add(key(trigger));
     }
@@ -142,8 +520,13 @@ const verifyTrigger = (
   const errors = [];
   if (!triggerTypes.includes(trigger.triggerName)) {
     errors.push(invalidTriggerName(trigger));
+  } else if (!isTriggerAllowed(trigger.triggerName, trigger.className)) {
+    errors.push(invalidTriggerForClass(trigger));
   }
-  if (!collections.includes(trigger.className)) {
+  // Built-in classes exist whether or not they're declared
+  if (!collections.includes(trigger.className)
+      && !isBuiltInClass(trigger.className)
+      && !triggerPseudoClasses.includes(trigger.className)) {
     errors.push(invalidTriggerClass(trigger));
   }
   // Should be moved to a deserialization step
@@ -153,7 +536,10 @@ const verifyTrigger = (
   return errors;
 };
 
-const verifyFunctions = (functions: Array<FunctionDefinition>): Array<ValidationError> => {
+const verifyFunctions = (
+  functions: Array<FunctionDefinition>,
+  sources: SchemaSources
+): Array<ValidationError> => {
   const errors = [];
   const names = new Set();
   functions.forEach(func => {
@@ -163,7 +549,7 @@ const verifyFunctions = (functions: Array<FunctionDefinition>): Array<Validation
     }
 
     if (names.has(func.functionName)) {
-      errors.push(duplicateFunction(func));
+      errors.push(duplicateFunction(func, sources.functions[func.functionName]));
     } else {
       names.add(func.functionName);
     }
@@ -172,5 +558,6 @@ const verifyFunctions = (functions: Array<FunctionDefinition>): Array<Validation
 };
 
 export {
-  verifySchema
+  verifySchema,
+  verifyPlan,
 };
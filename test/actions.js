@@ -0,0 +1,489 @@
+import assert from 'assert';
+import http from 'http';
+import url from 'url';
+
+import { getPlan, check, dataLossCommands } from '../dist/actions';
+import { voidLogger } from '../dist/logger';
+import {
+  AddColumn,
+  UpdateColumn,
+  DeleteColumn,
+  RenameColumn,
+  DeleteCollection,
+  AddIndex,
+  UpdateFunction,
+  prettyPrintCommand,
+} from '../dist/command';
+import {
+  DisallowedCommandError,
+  InvalidSchemaError,
+  NonEmptyCollectionError,
+  OutOfSyncError,
+} from '../dist/errors';
+
+const deepCopy = (any) => JSON.parse(JSON.stringify(any));
+
+describe('actions', function() {
+  const defaultSchema = {
+    collections: [
+      {
+        className: 'Foo',
+        fields: {
+          'AAA': {
+            type: 'String'
+          }
+        },
+        indexes: {},
+        classLevelPermissions: {}
+      }
+    ],
+    functions: [
+      {
+        functionName: 'getFoobar',
+        url: '/getFoobar'
+      }
+    ],
+    triggers: []
+  };
+
+  const offlineOptions = (snapshot, hookUrl = null) => ({
+    applicationId: '',
+    key: '',
+    hookUrl,
+    ignoreIndexes: false,
+    disallowColumnRedefine: false,
+    disallowIndexRedefine: false,
+    snapshot
+  });
+
+  // Answers the requests made while planning against a live server.
+  // `count` is called with the class name and where clause of each count
+  const startParse = (schema, count) => new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const { pathname, query } = url.parse(req.url, true);
+      const respond = (body) => res.end(JSON.stringify(body));
+      if (pathname === '/schemas') {
+        respond({ results: schema.collections });
+      } else if (pathname === '/hooks/functions') {
+        respond(schema.functions);
+      } else if (pathname === '/hooks/triggers') {
+        respond(schema.triggers);
+      } else if (pathname.startsWith('/classes/')) {
+        const where = query.where ? JSON.parse(query.where) : null;
+        respond({ results: [], count: count(pathname.slice('/classes/'.length), where) });
+      } else {
+        res.statusCode = 404;
+        respond({});
+      }
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const serverUrl = (server) => `http://127.0.0.1:${server.address().port}`;
+
+  describe('getPlan()', function() {
+    it('should plan against a snapshot', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAB = { type: 'String' };
+
+      assert.deepEqual(
+        await getPlan(newSchema, '', offlineOptions(snapshot), voidLogger),
+        [AddColumn('Foo', 'AAB', { type: 'String' })]
+      );
+    });
+    it('should prefix relative snapshot urls with the hook url', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+
+      assert.deepEqual(
+        await getPlan(newSchema, '', offlineOptions(snapshot, 'https://hooks.example.com'), voidLogger),
+        []
+      );
+
+      snapshot.functions[0].url = 'https://old.example.com/getFoobar';
+      assert.deepEqual(
+        await getPlan(newSchema, '', offlineOptions(snapshot, 'https://hooks.example.com'), voidLogger),
+        [UpdateFunction({ functionName: 'getFoobar', url: 'https://hooks.example.com/getFoobar' })]
+      );
+    });
+    it('should accept indexes written as their key', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      snapshot.collections[0].indexes = { AAA_index: { AAA: 1 } };
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].indexes = { AAA_index: { AAA: 1 }, AAA_desc: { AAA: -1 } };
+
+      assert.deepEqual(
+        await getPlan(newSchema, '', offlineOptions(snapshot), voidLogger),
+        [AddIndex('Foo', 'AAA_desc', { key: { AAA: -1 } })]
+      );
+    });
+    it('should refuse renaming columns to a different type', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      delete newSchema.collections[0].fields.AAA;
+      newSchema.collections[0].fields.AAB = { type: 'Number', renamedFrom: 'AAA' };
+
+      await assert.rejects(getPlan(newSchema, '', offlineOptions(snapshot), voidLogger), InvalidSchemaError);
+    });
+  });
+
+  describe('getPlan() with ignore rules', function() {
+    it('should not delete ignored classes', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      snapshot.collections.push({
+        className: 'AnalyticsDaily',
+        fields: {},
+        indexes: {},
+        classLevelPermissions: {}
+      });
+      const options = offlineOptions(snapshot);
+      options.ignore = { collections: ['Analytics*'] };
+
+      assert.deepEqual(
+        await getPlan(deepCopy(defaultSchema), '', options, voidLogger),
+        []
+      );
+    });
+    it('should repoint references of ignored and undeclared classes to renamed collections', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      snapshot.collections.push(
+        {
+          className: 'Analytics',
+          fields: { ref: { type: 'Pointer', targetClass: 'Foo' } },
+          indexes: {},
+          classLevelPermissions: {}
+        },
+        {
+          className: '_User',
+          fields: { fav: { type: 'Pointer', targetClass: 'Foo' } },
+          indexes: {},
+          classLevelPermissions: {}
+        }
+      );
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].className = 'Bar';
+      newSchema.collections[0].renamedFrom = 'Foo';
+      const options = offlineOptions(snapshot);
+      options.ignore = { collections: ['Analytics'] };
+
+      const [command] = await getPlan(newSchema, '', options, voidLogger);
+      assert.deepEqual(command.references, [
+        { collection: '_User', name: 'fav' },
+        { collection: 'Analytics', name: 'ref' }
+      ]);
+    });
+    it('should use the ignore rules of the schema', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      snapshot.functions.push({ functionName: 'adhocReport', url: '/adhocReport' });
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.ignore = { functions: ['adhoc*'] };
+
+      assert.deepEqual(
+        await getPlan(newSchema, '', offlineOptions(snapshot), voidLogger),
+        []
+      );
+    });
+  });
+
+  describe('getPlan() in additive-only mode', function() {
+    it('should leave out removals and report them', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      snapshot.collections[0].fields.AAB = { type: 'String' };
+      snapshot.collections.push({
+        className: 'Bar',
+        fields: {},
+        indexes: {},
+        classLevelPermissions: {}
+      });
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAC = { type: 'String' };
+      newSchema.functions = [];
+      const options = offlineOptions(snapshot);
+      options.additiveOnly = true;
+
+      const warnings = [];
+      const logger = Object.assign({}, voidLogger, {
+        warn: (...args) => warnings.push(args.join(' '))
+      });
+
+      assert.deepEqual(
+        await getPlan(newSchema, '', options, logger),
+        [AddColumn('Foo', 'AAC', { type: 'String' })]
+      );
+      assert.equal(warnings.length, 1);
+      assert(warnings[0].includes('Delete Collection "Bar"'));
+      assert(warnings[0].includes('Delete Column "AAB" from "Foo"'));
+      assert(warnings[0].includes('Delete Function "getFoobar"'));
+    });
+  });
+
+  describe('getPlan() in additive-only mode with type changes', function() {
+    it('should leave out columns changing type and report them', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAA = { type: 'Number' };
+      const options = offlineOptions(snapshot);
+      options.additiveOnly = true;
+
+      const warnings = [];
+      const logger = Object.assign({}, voidLogger, {
+        warn: (...args) => warnings.push(args.join(' '))
+      });
+
+      assert.deepEqual(await getPlan(newSchema, '', options, logger), []);
+      assert.deepEqual(warnings, [
+        'Pending removals, not applied in additive-only mode:\n'
+          + prettyPrintCommand(UpdateColumn('Foo', 'AAA', { type: 'Number' }))
+      ]);
+    });
+  });
+
+  describe('getPlan() in additive-only mode with renames', function() {
+    it('should copy renamed columns and leave the old column pending', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      delete newSchema.collections[0].fields.AAA;
+      newSchema.collections[0].fields.AAB = { type: 'String', renamedFrom: 'AAA' };
+      const options = offlineOptions(snapshot);
+      options.additiveOnly = true;
+
+      const warnings = [];
+      const logger = Object.assign({}, voidLogger, {
+        warn: (...args) => warnings.push(args.join(' '))
+      });
+
+      const commands = await getPlan(newSchema, '', options, logger);
+      assert.deepEqual(
+        commands,
+        [Object.assign(RenameColumn('Foo', 'AAA', 'AAB', { type: 'String' }), { keepOld: true })]
+      );
+      assert.equal(prettyPrintCommand(commands[0]), 'Copy Column "AAA" to "AAB" on "Foo"');
+      assert.deepEqual(warnings, [
+        'Pending removals, not applied in additive-only mode:\nDelete Column "AAA" from "Foo"'
+      ]);
+    });
+    it('should copy renamed collections and leave the old class pending', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].className = 'Bar';
+      newSchema.collections[0].renamedFrom = 'Foo';
+      const options = offlineOptions(snapshot);
+      options.additiveOnly = true;
+
+      const warnings = [];
+      const logger = Object.assign({}, voidLogger, {
+        warn: (...args) => warnings.push(args.join(' '))
+      });
+
+      const commands = await getPlan(newSchema, '', options, logger);
+      assert.deepEqual(commands.map(prettyPrintCommand), ['Copy Collection "Foo" to "Bar"']);
+      assert.equal(commands[0].keepOld, true);
+      assert.deepEqual(warnings, [
+        'Pending removals, not applied in additive-only mode:\nDelete Collection "Foo"'
+      ]);
+    });
+  });
+
+  describe('getPlan() ignoring indexes', function() {
+    it('should leave out the indexes of renamed collections', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].className = 'Bar';
+      newSchema.collections[0].renamedFrom = 'Foo';
+      newSchema.collections[0].indexes = { AAA_index: { key: { AAA: 1 } } };
+      const options = offlineOptions(snapshot);
+      options.ignoreIndexes = true;
+
+      const [command] = await getPlan(newSchema, '', options, voidLogger);
+      assert.deepEqual(command.definition.indexes, {});
+    });
+  });
+
+  describe('getPlan() with a policy', function() {
+    it('should report every disallowed command at once', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      snapshot.collections[0].fields.AAB = { type: 'String' };
+      snapshot.collections[0].fields.AAC = { type: 'String' };
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAA = { type: 'Number' };
+      newSchema.collections[0].fields.AAD = { type: 'String' };
+      const options = offlineOptions(snapshot);
+      options.disallowColumnRedefine = true;
+
+      await assert.rejects(
+        getPlan(newSchema, '', options, voidLogger),
+        (err) => {
+          assert(err instanceof DisallowedCommandError);
+          assert.deepEqual(err.commands, [
+            DeleteColumn('Foo', 'AAB'),
+            DeleteColumn('Foo', 'AAC'),
+            UpdateColumn('Foo', 'AAA', { type: 'Number' })
+          ]);
+          return true;
+        }
+      );
+    });
+    it('should disallow renaming columns along with redefining them', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      delete newSchema.collections[0].fields.AAA;
+      newSchema.collections[0].fields.AAB = { type: 'String', renamedFrom: 'AAA' };
+      const options = offlineOptions(snapshot);
+      options.disallowColumnRedefine = true;
+
+      await assert.rejects(getPlan(newSchema, '', options, voidLogger), DisallowedCommandError);
+    });
+    it('should put the disallow flags before the policy', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAA = { type: 'Number' };
+      const options = offlineOptions(snapshot);
+      options.disallowColumnRedefine = true;
+      options.policy = { rules: [{ effect: 'allow', commands: ['*'] }] };
+
+      await assert.rejects(getPlan(newSchema, '', options, voidLogger), DisallowedCommandError);
+    });
+  });
+
+  describe('getPlan() deleting collections', function() {
+    const liveSchema = deepCopy(defaultSchema);
+    liveSchema.collections.push({
+      className: 'Bar',
+      fields: {},
+      indexes: {},
+      classLevelPermissions: {}
+    });
+    const liveOptions = (dropData) => Object.assign(offlineOptions(null), { dropData });
+
+    let server;
+    let objects;
+    before(async function() {
+      server = await startParse(liveSchema, () => objects);
+    });
+
+    after(function() {
+      server.close();
+    });
+
+    it('should delete empty collections', async function() {
+      objects = 0;
+      assert.deepEqual(
+        await getPlan(deepCopy(defaultSchema), serverUrl(server), liveOptions(false), voidLogger),
+        [Object.assign(DeleteCollection('Bar'), { objectCount: 0 })]
+      );
+    });
+    it('should refuse to delete collections with objects', async function() {
+      objects = 3;
+      await assert.rejects(
+        getPlan(deepCopy(defaultSchema), serverUrl(server), liveOptions(false), voidLogger),
+        (err) => {
+          assert(err instanceof NonEmptyCollectionError);
+          assert.equal(err.commands.length, 1);
+          assert(err.message.includes('Delete Collection "Bar" and its 3 objects'));
+          return true;
+        }
+      );
+    });
+    it('should delete collections with objects when allowed', async function() {
+      objects = 1;
+      const commands = await getPlan(deepCopy(defaultSchema), serverUrl(server), liveOptions(true), voidLogger);
+      assert.deepEqual(commands, [Object.assign(DeleteCollection('Bar'), { objectCount: 1 })]);
+      assert.equal(prettyPrintCommand(commands[0]), 'Delete Collection "Bar" and its 1 object');
+    });
+    it('should be reported by check()', async function() {
+      objects = 3;
+      await assert.rejects(
+        check(deepCopy(defaultSchema), serverUrl(server), liveOptions(false), voidLogger),
+        OutOfSyncError
+      );
+    });
+  });
+
+  describe('getPlan() changing columns', function() {
+    const liveSchema = deepCopy(defaultSchema);
+    liveSchema.collections[0].fields.AAB = { type: 'String' };
+    liveSchema.collections[0].fields.AAC = { type: 'Relation', targetClass: 'Foo' };
+
+    let server;
+    let counted;
+    before(async function() {
+      server = await startParse(liveSchema, (className, where) => {
+        counted.push({ className, where });
+        return 2;
+      });
+    });
+    after(function() {
+      server.close();
+    });
+    beforeEach(function() {
+      counted = [];
+    });
+
+    it('should count the values that would be lost', async function() {
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAA = { type: 'Number' };
+      const commands = await getPlan(newSchema, serverUrl(server), offlineOptions(null), voidLogger);
+
+      assert.deepEqual(commands, [
+        Object.assign(DeleteColumn('Foo', 'AAB'), { objectCount: 2 }),
+        Object.assign(DeleteColumn('Foo', 'AAC'), { dropsRelations: true }),
+        Object.assign(UpdateColumn('Foo', 'AAA', { type: 'Number' }), { objectCount: 2 })
+      ]);
+      assert.deepEqual(counted, [
+        { className: 'Foo', where: { AAB: { $exists: true, $ne: null } } },
+        { className: 'Foo', where: { AAA: { $exists: true, $ne: null } } }
+      ]);
+      assert.deepEqual(dataLossCommands(commands), commands);
+      assert.equal(
+        prettyPrintCommand(commands[2]),
+        'Update Column "AAA" on "Foo", losing its values in 2 objects'
+      );
+    });
+    it('should count dropping relations as data loss', async function() {
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].fields.AAB = { type: 'String' };
+      newSchema.collections[0].fields.AAC = { type: 'Relation', targetClass: '_User' };
+      const commands = await getPlan(newSchema, serverUrl(server), offlineOptions(null), voidLogger);
+
+      assert.deepEqual(commands, [
+        Object.assign(UpdateColumn('Foo', 'AAC', { type: 'Relation', targetClass: '_User' }), { dropsRelations: true })
+      ]);
+      assert.deepEqual(counted, []);
+      assert.deepEqual(dataLossCommands(commands), commands);
+      assert.equal(prettyPrintCommand(commands[0]), 'Update Column "AAC" on "Foo", losing its relations');
+    });
+  });
+
+  describe('getPlan() with environment variables', function() {
+    it('should log the variables the schema used', async function() {
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.variables = { HOOK_HOST: 'hooks.example.com', ADMIN_ROLE: null };
+      const messages = [];
+      const logger = Object.assign({}, voidLogger, { info: (...args) => messages.push(args.join(' ')) });
+
+      await getPlan(newSchema, '', offlineOptions(deepCopy(defaultSchema)), logger);
+      assert.deepEqual(messages, ['Using environment variables: ADMIN_ROLE (default), HOOK_HOST']);
+    });
+  });
+
+  describe('getPlan() for parse-server 2', function() {
+    it('should leave count and protectedFields alone', async function() {
+      const snapshot = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].classLevelPermissions = {
+        count: { 'role:admin': true },
+        protectedFields: { '*': ['AAA'] }
+      };
+      const options = offlineOptions(snapshot);
+      options.legacyClp = true;
+
+      assert.deepEqual(await getPlan(newSchema, '', options, voidLogger), []);
+    });
+  });
+
+  describe('check()', function() {
+    it('should pass when the snapshot matches', async function() {
+      await check(deepCopy(defaultSchema), '', offlineOptions(deepCopy(defaultSchema)), voidLogger);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'assert';
+import yaml from 'js-yaml';
+
+import { exportSchema, formatSchema } from '../dist/exporter';
+import { parseSchemaJSON } from '../dist/loader';
+import { interpolate } from '../dist/variables';
+
+describe('exporter', function() {
+  const liveSchema = {
+    collections: [
+      {
+        className: 'Foo',
+        fields: {
+          objectId: { type: 'String' },
+          AAB: { type: 'String' },
+          AAA: { type: 'Pointer', targetClass: 'Bar' }
+        },
+        classLevelPermissions: {
+          get: { ['role:user']: true },
+          find: { ['role:user']: true }
+        },
+        indexes: {
+          _id_: { key: { _id: 1 } },
+          AAB_AAA_index: { key: { AAB: 1, _p_AAA: 1 }, options: { unique: true } }
+        }
+      },
+      {
+        className: 'Bar',
+        fields: {
+          objectId: { type: 'String' }
+        },
+        classLevelPermissions: {}
+      }
+    ],
+    functions: [
+      { functionName: 'zap', url: 'https://hooks.example.com/zap' },
+      { functionName: 'getFoo', url: 'https://hooks.example.com/getFoo' }
+    ],
+    triggers: [
+      { className: 'Foo', triggerName: 'beforeSave', url: 'https://hooks.example.com/foo/beforeSave' },
+      { className: 'Bar', triggerName: 'afterSave', url: 'https://elsewhere.example.com/bar' }
+    ]
+  };
+
+  describe('exportSchema()', function() {
+    it('should sort collections, functions and triggers', function() {
+      const exported = exportSchema(liveSchema, null);
+      assert.deepEqual(exported.collections.map(c => c.className), ['Bar', 'Foo']);
+      assert.deepEqual(exported.functions.map(f => f.functionName), ['getFoo', 'zap']);
+      assert.deepEqual(exported.triggers.map(t => t.className), ['Bar', 'Foo']);
+      assert.deepEqual(Object.keys(exported.collections[1].fields), ['AAA', 'AAB', 'objectId']);
+      assert.deepEqual(Object.keys(exported.collections[1].classLevelPermissions), ['find', 'get']);
+    });
+    it('should keep the key order of indexes', function() {
+      const exported = exportSchema(liveSchema, null);
+      assert.deepEqual(
+        Object.keys(exported.collections[1].indexes.AAB_AAA_index.key),
+        ['AAB', '_p_AAA']
+      );
+    });
+    it('should strip the hook url', function() {
+      const exported = exportSchema(liveSchema, 'https://hooks.example.com');
+      assert.deepEqual(exported.functions.map(f => f.url), ['/getFoo', '/zap']);
+      assert.deepEqual(
+        exported.triggers.map(t => t.url),
+        ['https://elsewhere.example.com/bar', '/foo/beforeSave']
+      );
+    });
+    it('should produce indexes that the loader accepts', function() {
+      const exported = exportSchema(liveSchema, null);
+      const loaded = parseSchemaJSON(formatSchema(exported, 'schema.json'));
+      assert.deepEqual(loaded.collections[1].indexes, liveSchema.collections[0].indexes);
+    });
+    it('should escape text the loader would interpolate', function() {
+      const schema = Object.assign({}, liveSchema, {
+        functions: [
+          { functionName: 'a', url: 'https://${HOST}/a' },
+          { functionName: 'b', url: 'https://$${HOST}/b?q=${' },
+        ]
+      });
+      const exported = exportSchema(schema, null);
+      assert.deepEqual(exported.functions.map(f => f.url), ['https://$${HOST}/a', 'https://$$${HOST}/b?q=${']);
+      assert.deepEqual(
+        interpolate(exported, { HOST: 'hooks.example.com' }).value.functions,
+        schema.functions
+      );
+    });
+  });
+
+  describe('formatSchema()', function() {
+    it('should write YAML for YAML files', function() {
+      const exported = exportSchema(liveSchema, null);
+      assert.deepEqual(yaml.safeLoad(formatSchema(exported, 'schema.yml')), exported);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import assert from 'assert';
+
+import { applyIgnoreRules, parseIgnorePattern, mergeIgnoreRules } from '../dist/ignore';
+
+const deepCopy = (any) => JSON.parse(JSON.stringify(any));
+
+describe('ignore', function() {
+  const defaultSchema = {
+    collections: [
+      {
+        className: 'Foo',
+        fields: {
+          'AAA': {
+            type: 'String'
+          },
+          'legacyAAB': {
+            type: 'String'
+          }
+        },
+        indexes: {
+          AAA_index: {
+            key: {
+              AAA: 1
+            }
+          },
+          tmp_index: {
+            key: {
+              legacyAAB: 1
+            }
+          }
+        },
+        classLevelPermissions: {}
+      },
+      {
+        className: 'AnalyticsDaily',
+        fields: {},
+        indexes: {},
+        classLevelPermissions: {}
+      }
+    ],
+    functions: [
+      {
+        functionName: 'getFoobar',
+        url: '/getFoobar'
+      },
+      {
+        functionName: 'debugDump',
+        url: '/debugDump'
+      }
+    ],
+    triggers: [
+      {
+        className: 'Foo',
+        triggerName: 'beforeSave',
+        url: '/foo/beforeSave'
+      },
+      {
+        className: 'Foo',
+        triggerName: 'afterFind',
+        url: '/foo/afterFind'
+      }
+    ]
+  };
+
+  describe('applyIgnoreRules()', function() {
+    it('should remove everything matching the rules', function() {
+      const schema = applyIgnoreRules(deepCopy(defaultSchema), {
+        collections: ['Analytics*'],
+        fields: ['*.legacy*'],
+        indexes: ['Foo.tmp_*'],
+        functions: ['debug*'],
+        triggers: ['*.afterFind']
+      });
+
+      const expected = deepCopy(defaultSchema);
+      expected.collections.pop();
+      delete expected.collections[0].fields.legacyAAB;
+      delete expected.collections[0].indexes.tmp_index;
+      expected.functions.pop();
+      expected.triggers.pop();
+      assert.deepEqual(schema, expected);
+    });
+    it('should match whole names only', function() {
+      const schema = applyIgnoreRules(deepCopy(defaultSchema), {
+        collections: ['Analytics'],
+        functions: ['getFoo']
+      });
+      assert.deepEqual(schema, defaultSchema);
+    });
+  });
+
+  describe('parseIgnorePattern()', function() {
+    it('should treat patterns without a kind as collections', function() {
+      assert.deepEqual(parseIgnorePattern('_PushStatus'), { collections: ['_PushStatus'] });
+    });
+    it('should parse the kind of a pattern', function() {
+      assert.deepEqual(parseIgnorePattern('fields:Foo.legacy*'), { fields: ['Foo.legacy*'] });
+    });
+  });
+
+  describe('mergeIgnoreRules()', function() {
+    it('should concatenate patterns of each kind', function() {
+      assert.deepEqual(
+        mergeIgnoreRules({ collections: ['A'] }, undefined, { collections: ['B'], triggers: ['C.*'] }),
+        { collections: ['A', 'B'], fields: [], indexes: [], functions: [], triggers: ['C.*'] }
+      );
+    });
+  });
+});
@@ -0,0 +1,395 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { parseSchemaJSON, parseSchemaYAML, loadSchema } from '../dist/loader';
+import { SchemaFileError, InvalidSchemaError } from '../dist/errors';
+
+describe('loader', function() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parseconfig-'));
+  const writeFile = (name, contents) => {
+    const file = path.join(tmpDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+  const withoutSources = (schema) => {
+    const copy = Object.assign({}, schema);
+    delete copy.sources;
+    return copy;
+  };
+
+  const jsonSchema = JSON.stringify({
+    collections: [
+      {
+        className: 'Foo',
+        fields: {
+          AAA: {
+            type: 'String'
+          }
+        },
+        indexes: {
+          AAA_index: {
+            key: {
+              AAA: 1
+            },
+            options: {}
+          }
+        },
+        classLevelPermissions: {}
+      }
+    ],
+    functions: [],
+    triggers: []
+  }, null, 2);
+
+  const yamlSchema = [
+    '# Memos written by users',
+    'collections:',
+    '  - className: Foo',
+    '    fields:',
+    '      AAA:',
+    '        type: String # the memo body',
+    '    indexes:',
+    '      AAA_index:',
+    '        key:',
+    '          AAA: 1',
+    '        options: {}',
+    '    classLevelPermissions: {}',
+    'functions: []',
+    'triggers: []',
+  ].join('\n');
+
+  describe('parseSchemaJSON()', function() {
+    it('should drop empty index options', function() {
+      assert.deepEqual(
+        parseSchemaJSON(jsonSchema).collections[0].indexes,
+        { AAA_index: { key: { AAA: 1 } } }
+      );
+    });
+    it('should keep index options', function() {
+      const schema = JSON.parse(jsonSchema);
+      schema.collections[0].indexes.AAA_index.options = { unique: true };
+      assert.deepEqual(
+        parseSchemaJSON(JSON.stringify(schema)).collections[0].indexes,
+        { AAA_index: { key: { AAA: 1 }, options: { unique: true } } }
+      );
+    });
+    it('should accept indexes written as a bare key', function() {
+      const schema = JSON.parse(jsonSchema);
+      schema.collections[0].indexes.AAA_index = { AAA: 1 };
+      assert.deepEqual(
+        parseSchemaJSON(JSON.stringify(schema)).collections[0].indexes,
+        { AAA_index: { key: { AAA: 1 } } }
+      );
+    });
+    it('should report the line of a syntax error', function() {
+      assert.throws(
+        () => parseSchemaJSON('{\n  "collections": [],\n}', 'schema.json'),
+        (err) => err instanceof SchemaFileError && err.file === 'schema.json' && err.line === 3
+      );
+    });
+  });
+
+  describe('parseSchemaYAML()', function() {
+    it('should parse the same schema as JSON', function() {
+      assert.deepEqual(
+        parseSchemaYAML(yamlSchema),
+        parseSchemaJSON(jsonSchema)
+      );
+    });
+    it('should report the line of a syntax error', function() {
+      assert.throws(
+        () => parseSchemaYAML('collections:\n  - className: Foo\n   fields: {}', 'schema.yaml'),
+        (err) => err instanceof SchemaFileError && err.file === 'schema.yaml' && err.line === 3
+      );
+    });
+  });
+
+  describe('permissionPresets', function() {
+    const presetSchema = (classLevelPermissions) => JSON.stringify({
+      permissionPresets: {
+        adminWriteUserRead: {
+          find: { '*': true },
+          get: { '*': true },
+          create: { 'role:admin': true },
+          update: { 'role:admin': true }
+        }
+      },
+      collections: [
+        { className: 'Foo', fields: {}, classLevelPermissions }
+      ],
+      functions: [],
+      triggers: []
+    });
+
+    it('should expand presets and let operations override them', function() {
+      const schema = parseSchemaJSON(presetSchema({
+        $preset: 'adminWriteUserRead',
+        find: { requiresAuthentication: true }
+      }));
+      assert.deepEqual(schema.permissionPresets, undefined);
+      assert.deepEqual(schema.collections[0].classLevelPermissions, {
+        find: { requiresAuthentication: true },
+        get: { '*': true },
+        create: { 'role:admin': true },
+        update: { 'role:admin': true }
+      });
+    });
+    it('should error on unknown presets', function() {
+      assert.throws(
+        () => parseSchemaJSON(presetSchema({ $preset: 'adminWrite' })),
+        (err) => err instanceof InvalidSchemaError
+          && err.message === 'Unknown permission preset "adminWrite" on collection Foo'
+      );
+    });
+    it('should use presets defined in other files', function() {
+      writeFile('presets/presets.yaml', 'permissionPresets:\n  locked:\n    find: {}\n    addField: {}');
+      writeFile('presets/classes/Foo.yaml', 'className: Foo\nfields: {}\nclassLevelPermissions:\n  $preset: locked');
+
+      const schema = loadSchema(path.join(tmpDir, 'presets'));
+      assert.deepEqual(schema.collections[0].classLevelPermissions, { find: {}, addField: {} });
+    });
+    it('should error on presets defined more than once', function() {
+      writeFile('twice/a.yaml', 'permissionPresets:\n  locked: {}');
+      writeFile('twice/b.yaml', 'permissionPresets:\n  locked: {}');
+
+      assert.throws(
+        () => loadSchema(path.join(tmpDir, 'twice')),
+        (err) => err instanceof InvalidSchemaError && /permission preset locked/.test(err.message)
+      );
+    });
+  });
+
+  describe('mixins', function() {
+    const mixinSchema = (mixins, collections) => JSON.stringify({
+      mixins,
+      collections,
+      functions: [],
+      triggers: []
+    });
+    const audited = {
+      fields: {
+        author: { type: 'Pointer', targetClass: '_User' },
+        deletedAt: { type: 'Date' }
+      },
+      indexes: { deletedAt: { deletedAt: 1 } },
+      classLevelPermissions: { addField: {} }
+    };
+
+    it('should include the mixins a collection extends', function() {
+      const schema = parseSchemaJSON(mixinSchema({ audited }, [{
+        className: 'Memo',
+        extends: 'audited',
+        fields: { body: { type: 'String' }, deletedAt: { type: 'Date', required: true } },
+        classLevelPermissions: { find: { '*': true } }
+      }]));
+      assert.deepEqual(schema.mixins, undefined);
+      assert.deepEqual(schema.collections, [{
+        className: 'Memo',
+        fields: {
+          author: { type: 'Pointer', targetClass: '_User' },
+          deletedAt: { type: 'Date', required: true },
+          body: { type: 'String' }
+        },
+        indexes: { deletedAt: { key: { deletedAt: 1 } } },
+        classLevelPermissions: { addField: {}, find: { '*': true } }
+      }]);
+    });
+    it('should include collections a collection extends', function() {
+      const schema = parseSchemaJSON(mixinSchema({ audited }, [
+        { className: 'Memo', extends: ['audited'], fields: { body: { type: 'String' } } },
+        { className: 'Note', extends: ['Memo'], fields: {}, classLevelPermissions: {} }
+      ]));
+      assert.deepEqual(
+        Object.keys(schema.collections[1].fields),
+        ['author', 'deletedAt', 'body']
+      );
+    });
+    it('should error on mixins that define a key differently', function() {
+      const softDeleted = { fields: { deletedAt: { type: 'Number' } } };
+      assert.throws(
+        () => parseSchemaJSON(mixinSchema({ audited, softDeleted }, [
+          { className: 'Memo', extends: ['audited', 'softDeleted'], fields: {}, classLevelPermissions: {} }
+        ])),
+        (err) => err instanceof InvalidSchemaError
+          && err.message === 'Conflicting fields "deletedAt" in audited and softDeleted, extended by Memo'
+      );
+    });
+    it('should error on unknown and circular extends', function() {
+      assert.throws(
+        () => parseSchemaJSON(mixinSchema({ a: { extends: 'b' }, b: { extends: 'a' } }, [
+          { className: 'Memo', extends: ['a', 'c'], fields: {}, classLevelPermissions: {} }
+        ])),
+        (err) => err instanceof InvalidSchemaError && err.message === [
+          'Circular extends: Memo -> a -> b -> a',
+          'Unknown mixin or collection "c" extended by Memo',
+        ].join('\n')
+      );
+    });
+    it('should use mixins defined in other files', function() {
+      writeFile('mixins/mixins.yaml', 'mixins:\n  audited:\n    fields:\n      deletedAt: { type: Date }');
+      writeFile('mixins/classes/Foo.yaml', 'className: Foo\nextends: audited\nfields: {}\nclassLevelPermissions: {}');
+
+      const schema = loadSchema(path.join(tmpDir, 'mixins'));
+      assert.deepEqual(schema.collections[0].fields, { deletedAt: { type: 'Date' } });
+    });
+  });
+
+  describe('loadSchema()', function() {
+    it('should pick the format from the file extension', function() {
+      const yamlFile = writeFile('schema.yml', yamlSchema);
+      const jsonFile = writeFile('schema.json', jsonSchema);
+      assert.deepEqual(
+        withoutSources(loadSchema(yamlFile)),
+        withoutSources(loadSchema(jsonFile))
+      );
+    });
+    it('should merge every schema file in a directory', function() {
+      writeFile('dir/classes/Foo.yaml', 'className: Foo\nfields: {}\nclassLevelPermissions: {}');
+      writeFile('dir/classes/Bar.json', '{"className": "Bar", "fields": {}, "classLevelPermissions": {}}');
+      writeFile('dir/functions.yaml', 'functions:\n  - functionName: getFoo\n    url: /getFoo');
+      writeFile('dir/README.md', 'Not a schema file');
+
+      const schema = loadSchema(path.join(tmpDir, 'dir'));
+      assert.deepEqual(schema.collections.map(c => c.className), ['Bar', 'Foo']);
+      assert.deepEqual(schema.functions, [{ functionName: 'getFoo', url: '/getFoo' }]);
+      assert.deepEqual(schema.triggers, []);
+      assert.deepEqual(
+        schema.sources.collections.Foo,
+        [path.join(tmpDir, 'dir', 'classes', 'Foo.yaml')]
+      );
+    });
+    it('should merge the overlay of the environment', function() {
+      const base = writeFile('env/schema.yaml', [
+        'collections:',
+        '  - className: Foo',
+        '    fields:',
+        '      AAA: { type: String }',
+        '      AAB: { type: Pointer, targetClass: _User }',
+        '    indexes:',
+        '      AAA_index: { key: { AAA: 1 } }',
+        '    classLevelPermissions:',
+        '      find: { \'*\': true }',
+        '  - className: Debug',
+        '    fields: {}',
+        '    classLevelPermissions: {}',
+        'functions:',
+        '  - { functionName: debugDump, url: /debugDump }',
+        '  - { functionName: getFoo, url: /getFoo }',
+        'triggers: []',
+      ].join('\n'));
+      writeFile('env/schema.production.json', JSON.stringify({
+        collections: [
+          {
+            className: 'Foo',
+            fields: { AAB: null, AAC: { type: 'Number' } },
+            indexes: { AAA_index: { key: { AAA: -1 } } },
+            classLevelPermissions: { find: { '*': null, 'role:admin': true } }
+          },
+          { className: 'Debug', $remove: true }
+        ],
+        functions: [{ functionName: 'debugDump', $remove: true }],
+        triggers: [{ className: 'Foo', triggerName: 'beforeSave', url: '/foo' }]
+      }));
+
+      const schema = loadSchema(base, 'production');
+      assert.deepEqual(schema.collections, [{
+        className: 'Foo',
+        fields: { AAA: { type: 'String' }, AAC: { type: 'Number' } },
+        indexes: { AAA_index: { key: { AAA: -1 } } },
+        classLevelPermissions: { find: { 'role:admin': true } }
+      }]);
+      assert.deepEqual(schema.functions, [{ functionName: 'getFoo', url: '/getFoo' }]);
+      assert.deepEqual(schema.triggers, [{ className: 'Foo', triggerName: 'beforeSave', url: '/foo' }]);
+      assert.deepEqual(
+        schema.sources.collections.Foo,
+        [base, path.join(tmpDir, 'env', 'schema.production.json')]
+      );
+      assert.strictEqual(schema.overlay, path.join(tmpDir, 'env', 'schema.production.json'));
+    });
+    it('should let the overlay change what collections inherit', function() {
+      const base = writeFile('envmixins/schema.yaml', [
+        'mixins:',
+        '  audit:',
+        '    fields:',
+        '      deletedAt: { type: Date }',
+        '      author: { type: Pointer, targetClass: _User }',
+        '    indexes:',
+        '      deletedAt_index: { key: { deletedAt: 1 } }',
+        'collections:',
+        '  - className: Foo',
+        '    extends: audit',
+        '    fields:',
+        '      AAA: { type: String }',
+        '    classLevelPermissions: {}',
+        'functions: []',
+        'triggers: []',
+      ].join('\n'));
+      writeFile('envmixins/schema.prod.yaml', [
+        'collections:',
+        '  - className: Foo',
+        '    fields:',
+        '      deletedAt: null',
+        '      author: { required: true }',
+        '    indexes:',
+        '      deletedAt_index: null',
+      ].join('\n'));
+
+      const [collection] = loadSchema(base, 'prod').collections;
+      assert.deepEqual(collection.fields, {
+        author: { type: 'Pointer', targetClass: '_User', required: true },
+        AAA: { type: 'String' }
+      });
+      assert.deepEqual(collection.indexes, {});
+    });
+    it('should use the schema as is without an overlay', function() {
+      const base = writeFile('noenv/schema.yaml', 'collections: []\nfunctions: []\ntriggers: []');
+      const schema = loadSchema(base, 'staging');
+      assert.deepEqual(schema, loadSchema(base));
+      assert.strictEqual(schema.overlay, undefined);
+    });
+    it('should find the overlay of a directory next to it', function() {
+      writeFile('envdir/schema/Foo.yaml', 'className: Foo\nfields: {}\nclassLevelPermissions: {}');
+      writeFile('envdir/schema.dev/Bar.yaml', 'className: Bar\nfields: {}\nclassLevelPermissions: {}');
+
+      const schema = loadSchema(path.join(tmpDir, 'envdir', 'schema'), 'dev');
+      assert.deepEqual(schema.collections.map(c => c.className), ['Foo', 'Bar']);
+    });
+    it('should interpolate environment variables', function() {
+      const base = writeFile('vars/schema.yaml', [
+        'collections: []',
+        'functions:',
+        '  - { functionName: getFoo, url: \'https://${HOOK_HOST}/getFoo\' }',
+        'triggers: []',
+      ].join('\n'));
+      writeFile('vars/schema.staging.yaml', 'functions:\n  - { functionName: getFoo, url: \'${STAGING_URL:-/getFoo}\' }');
+
+      const schema = loadSchema(base, 'staging', { HOOK_HOST: 'hooks.example.com' });
+      assert.deepEqual(schema.functions, [{ functionName: 'getFoo', url: '/getFoo' }]);
+      assert.deepEqual(schema.variables, { HOOK_HOST: 'hooks.example.com', STAGING_URL: null });
+    });
+    it('should error on variables that are not set', function() {
+      const base = writeFile('unset/schema.yaml', 'collections: []\nfunctions:\n  - { functionName: a, url: \'${HOOK_URL}\' }');
+      assert.throws(
+        () => loadSchema(base, null, {}),
+        (err) => err instanceof InvalidSchemaError
+          && err.message === `Environment variable HOOK_URL is not set and has no default in ${base}`
+      );
+    });
+    it('should follow includes relative to the including file', function() {
+      writeFile('inc/classes/Foo.yaml', 'className: Foo\nfields: {}\nclassLevelPermissions: {}');
+      writeFile('inc/triggers.json', '{"triggers": [{"className": "Foo", "triggerName": "beforeSave", "url": "/foo"}]}');
+      const root = writeFile('inc/schema.yaml', 'include:\n  - classes\n  - triggers.json\n  - schema.yaml\nfunctions: []');
+
+      const schema = loadSchema(root);
+      assert.deepEqual(schema.collections.map(c => c.className), ['Foo']);
+      assert.deepEqual(schema.triggers.map(t => t.triggerName), ['beforeSave']);
+      assert.deepEqual(
+        schema.sources.triggers['Foo.beforeSave'],
+        [path.join(tmpDir, 'inc', 'triggers.json')]
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import assert from 'assert';
+
+import { toMongoIndexes, isManagedIndex, fromIndexSpec } from '../dist/mongo';
+
+describe('mongo', function() {
+  const collection = {
+    className: 'Foo',
+    fields: {
+      AAA: {
+        type: 'String'
+      },
+      author: {
+        type: 'Pointer',
+        targetClass: '_User'
+      }
+    },
+    indexes: {
+      _id_: {
+        key: {
+          _id: 1
+        }
+      },
+      author_index: {
+        key: {
+          author: 1,
+          createdAt: -1
+        },
+        options: {
+          sparse: true
+        }
+      },
+      perm_index: {
+        key: {
+          _rperm: 1,
+          _p_author: 1,
+          AAA: 1
+        }
+      }
+    },
+    classLevelPermissions: {}
+  };
+
+  describe('toMongoIndexes()', function() {
+    it('should use MongoDB column names', function() {
+      const indexes = toMongoIndexes(collection).indexes;
+      assert.deepEqual(indexes.author_index, {
+        key: {
+          _p_author: 1,
+          _created_at: -1
+        },
+        options: {
+          sparse: true
+        }
+      });
+      assert.deepEqual(indexes.perm_index, collection.indexes.perm_index);
+    });
+    it('should leave out indexes MongoDB manages', function() {
+      assert.deepEqual(
+        Object.keys(toMongoIndexes(collection).indexes),
+        ['author_index', 'perm_index']
+      );
+    });
+  });
+
+  describe('isManagedIndex()', function() {
+    it('should know the indexes parse-server creates', function() {
+      assert(isManagedIndex('Foo', '_id_'));
+      assert(isManagedIndex('_User', 'username_1'));
+      assert(isManagedIndex('_Idempotency', 'ttl'));
+      assert(!isManagedIndex('Foo', 'username_1'));
+    });
+    it('should know the indexes parse-server creates on demand', function() {
+      assert(isManagedIndex('Foo', 'location_2d', { location: '2d' }));
+      assert(isManagedIndex('Foo', 'area_2dsphere', { area: '2dsphere' }));
+      assert(isManagedIndex('Foo', 'title_text', { title: 'text' }));
+      assert(!isManagedIndex('Foo', 'title_text', { title: 'text', AAA: 1 }));
+      assert(!isManagedIndex('Foo', 'places', { location: '2d' }));
+    });
+  });
+
+  describe('fromIndexSpec()', function() {
+    it('should keep the options of an index', function() {
+      assert.deepEqual(
+        fromIndexSpec({ v: 2, key: { AAA: 1 }, name: 'AAA_index', ns: 'parse.Foo', unique: true }),
+        { key: { AAA: 1 }, options: { unique: true } }
+      );
+    });
+    it('should put back the key of a text index', function() {
+      assert.deepEqual(
+        fromIndexSpec({
+          v: 2,
+          key: { AAA: 1, _fts: 'text', _ftsx: 1 },
+          name: 'search_index',
+          weights: { body: 1, title: 2 },
+          default_language: 'english',
+          language_override: 'language',
+          textIndexVersion: 3
+        }).key,
+        { AAA: 1, body: 'text', title: 'text' }
+      );
+    });
+  });
+});
@@ -1,13 +1,16 @@
 import assert from 'assert';
 
-import { planCollections, planFunctions, planTriggers } from '../dist/planner';
+import { plan, planCollections, planFunctions, planTriggers } from '../dist/planner';
 
 import {
   AddCollection,
   DeleteCollection,
+  RenameCollection,
   AddColumn,
   DeleteColumn,
   UpdateColumn,
+  UpdateColumnOptions,
+  RenameColumn,
   AddIndex,
   DeleteIndex,
   UpdateIndex,
@@ -37,7 +40,9 @@ describe('planner', function() {
         },
         indexes: {
           AAA_index: {
-            AAA: 1
+            key: {
+              AAA: 1
+            }
           }
         },
         classLevelPermissions: {
@@ -151,6 +156,124 @@ describe('planner', function() {
         [newCol]
       );
     });
+    it('should update only the options of a column', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      newSchema[0].fields.AAA = { type: 'String', required: true, defaultValue: 'none' };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [UpdateColumnOptions('Foo', 'AAA', { type: 'String', required: true, defaultValue: 'none' })]
+      );
+    });
+    it('should treat required false as no option', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema[0].fields.AAA.required = false;
+      assert.deepEqual(planCollections(newSchema, oldSchema), []);
+    });
+    it('should update a column whose type and options change', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      newSchema[0].fields.AAA = { type: 'Number', defaultValue: 0 };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [UpdateColumn('Foo', 'AAA', { type: 'Number', defaultValue: 0 })]
+      );
+    });
+    it('should rename a column instead of deleting it', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      delete newSchema[0].fields.AAB;
+      newSchema[0].fields.AAC = { type: 'String', renamedFrom: 'AAB' };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [RenameColumn('Foo', 'AAB', 'AAC', { type: 'String' })]
+      );
+    });
+    it('should resume a rename that was interrupted', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema[0].fields.AAC = { type: 'String' };
+      delete newSchema[0].fields.AAB;
+      newSchema[0].fields.AAC = { type: 'String', renamedFrom: 'AAB' };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [RenameColumn('Foo', 'AAB', 'AAC', { type: 'String' })]
+      );
+    });
+    it('should not rename a column again', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      delete oldSchema[0].fields.AAB;
+      oldSchema[0].fields.AAC = { type: 'String' };
+      delete newSchema[0].fields.AAB;
+      newSchema[0].fields.AAC = { type: 'String', renamedFrom: 'AAB' };
+      assert.deepEqual(planCollections(newSchema, oldSchema), []);
+    });
+    it('should plan renames to a different type for verifyPlan to refuse', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      delete newSchema[0].fields.AAB;
+      newSchema[0].fields.AAC = { type: 'Number', renamedFrom: 'AAB' };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [RenameColumn('Foo', 'AAB', 'AAC', { type: 'Number' })]
+      );
+    });
+    it('should rename a collection instead of deleting it', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      oldSchema[1].fields.BAC = { type: 'Pointer', targetClass: 'Foo' };
+      const newSchema = deepCopy(oldSchema);
+      newSchema[0].className = 'Baz';
+      newSchema[0].renamedFrom = 'Foo';
+      newSchema[1].fields.BAC.targetClass = 'Baz';
+
+      const definition = deepCopy(newSchema[0]);
+      delete definition.renamedFrom;
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema, deepCopy(defaultSchema.triggers)),
+        [RenameCollection('Foo', definition, [{ collection: 'Bar', name: 'BAC' }], [defaultSchema.triggers[0]])]
+      );
+    });
+    it('should resume a collection rename that was interrupted', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+      newSchema[0].className = 'Baz';
+      newSchema[0].renamedFrom = 'Foo';
+      oldSchema.push(Object.assign(deepCopy(oldSchema[0]), { className: 'Baz' }));
+
+      const definition = deepCopy(newSchema[0]);
+      delete definition.renamedFrom;
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [RenameCollection('Foo', definition)]
+      );
+    });
+    it('should not rename a collection again', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      oldSchema[0].className = 'Baz';
+      const newSchema = deepCopy(oldSchema);
+      newSchema[0].renamedFrom = 'Foo';
+
+      assert.deepEqual(planCollections(newSchema, oldSchema), []);
+    });
+    it('should move the triggers of a renamed collection', function() {
+      const oldSchema = deepCopy(defaultSchema);
+      const newSchema = deepCopy(defaultSchema);
+      newSchema.collections[0].className = 'Baz';
+      newSchema.collections[0].renamedFrom = 'Foo';
+      newSchema.triggers[0].className = 'Baz';
+
+      const commands = plan(newSchema, oldSchema, null);
+      assert.deepEqual(commands.map(c => c.type), [RenameCollection.type]);
+    });
     it('should add a new index', function() {
       const oldSchema = deepCopy(defaultSchema.collections);
       const newSchema = deepCopy(defaultSchema.collections);
@@ -184,7 +307,70 @@ describe('planner', function() {
       const oldSchema = deepCopy(defaultSchema.collections);
       const newSchema = deepCopy(defaultSchema.collections);
 
-      newSchema[0].indexes.AAA_index.AAB = 2
+      newSchema[0].indexes.AAA_index.key.AAB = 2
+      const newIndex = UpdateIndex(
+        newSchema[0].className,
+        'AAA_index',
+        deepCopy(newSchema[0].indexes.AAA_index)
+      );
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [newIndex]
+      );
+    });
+    it('should update an index when only its options change', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema[0].indexes.AAA_index.options = {};
+      newSchema[0].indexes.AAA_index.options = { unique: true };
+      const newIndex = UpdateIndex(
+        newSchema[0].className,
+        'AAA_index',
+        deepCopy(newSchema[0].indexes.AAA_index)
+      );
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [newIndex]
+      );
+    });
+    it('should not compare options the old index does not know', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      newSchema[0].indexes.AAA_index.options = { unique: true };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        []
+      );
+    });
+    it('should ignore options MongoDB fills in unless they are declared', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema[0].indexes.AAA_index.options = {
+        weights: { AAA: 1 },
+        default_language: 'english',
+        language_override: 'language'
+      };
+      newSchema[0].indexes.AAA_index.options = {};
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        []
+      );
+
+      newSchema[0].indexes.AAA_index.options = { default_language: 'french' };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [UpdateIndex(newSchema[0].className, 'AAA_index', deepCopy(newSchema[0].indexes.AAA_index))]
+      );
+    });
+    it('should update an index when its key order changes', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema[0].indexes.AAA_index.key = { AAA: 1, AAB: 1 };
+      newSchema[0].indexes.AAA_index.key = { AAB: 1, AAA: 1 };
       const newIndex = UpdateIndex(
         newSchema[0].className,
         'AAA_index',
@@ -195,6 +381,73 @@ describe('planner', function() {
         [newIndex]
       );
     });
+    it('should keep the default fields of built-in classes', function() {
+      const userClass = {
+        className: '_User',
+        fields: {
+          nickname: {
+            type: 'String'
+          }
+        },
+        indexes: {},
+        classLevelPermissions: {}
+      };
+      const liveUserClass = deepCopy(userClass);
+      Object.assign(liveUserClass.fields, {
+        objectId: { type: 'String' },
+        createdAt: { type: 'Date' },
+        updatedAt: { type: 'Date' },
+        ACL: { type: 'ACL' },
+        username: { type: 'String' },
+        password: { type: 'String' },
+        email: { type: 'String' },
+        emailVerified: { type: 'Boolean' },
+        authData: { type: 'Object' }
+      });
+      assert.deepEqual(
+        planCollections([userClass], [liveUserClass]),
+        []
+      );
+    });
+    it('should never delete built-in classes', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema.push(
+        { className: '_Role', fields: {}, indexes: {}, classLevelPermissions: {} },
+        { className: '_Session', fields: {}, indexes: {}, classLevelPermissions: {} },
+        { className: '_Idempotency', fields: {}, indexes: {}, classLevelPermissions: {} }
+      );
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        []
+      );
+    });
+    it('should only plan the custom fields of built-in classes', function() {
+      const oldSchema = [{
+        className: '_User',
+        fields: {
+          username: { type: 'String' },
+          email: { type: 'String' },
+          legacy: { type: 'String' }
+        },
+        indexes: {},
+        classLevelPermissions: {}
+      }];
+      const newSchema = [{
+        className: '_User',
+        fields: {
+          email: { type: 'Object' },
+          nickname: { type: 'String' }
+        },
+        indexes: {},
+        classLevelPermissions: {}
+      }];
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [DeleteColumn('_User', 'legacy'), AddColumn('_User', 'nickname', { type: 'String' })]
+      );
+    });
     it('should update changed permisions', function() {
       const oldSchema = deepCopy(defaultSchema.collections);
       const newSchema = deepCopy(defaultSchema.collections);
@@ -212,6 +465,37 @@ describe('planner', function() {
     });
   });
 
+  describe('planCollections() with parse-server 3 permissions', function() {
+    it('should update changed count and protectedFields permissions', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      newSchema[0].classLevelPermissions.count = { 'role:admin': true };
+      newSchema[0].classLevelPermissions.protectedFields = { '*': ['AAB'] };
+      assert.deepEqual(
+        planCollections(newSchema, oldSchema),
+        [UpdateCollectionPermissions(
+          'Foo',
+          deepCopy(newSchema[0].classLevelPermissions),
+          deepCopy(oldSchema[0].classLevelPermissions)
+        )]
+      );
+    });
+    it('should keep the server\'s permissions when the schema leaves them out', function() {
+      const oldSchema = deepCopy(defaultSchema.collections);
+      const newSchema = deepCopy(defaultSchema.collections);
+
+      oldSchema[0].classLevelPermissions.count = { '*': true };
+      oldSchema[0].classLevelPermissions.protectedFields = { '*': [] };
+      assert.deepEqual(planCollections(newSchema, oldSchema), []);
+
+      newSchema[0].classLevelPermissions.create['role:user'] = true;
+      const [command] = planCollections(newSchema, oldSchema);
+      assert.deepEqual(command.definition.count, { '*': true });
+      assert.deepEqual(command.definition.protectedFields, { '*': [] });
+    });
+  });
+
   describe('planFunctions()', function() {
     it('should add a new function', function() {
       const oldSchema = deepCopy(defaultSchema.functions).slice(1);
@@ -278,6 +562,21 @@ describe('planner', function() {
         [delFunc]
       );
     });
+    it('should add a file trigger', function() {
+      const oldSchema = deepCopy(defaultSchema.triggers);
+      const newSchema = deepCopy(defaultSchema.triggers);
+
+      const fileTrigger = {
+        className: '@File',
+        triggerName: 'beforeSaveFile',
+        url: '/files/beforeSave'
+      };
+      newSchema.push(fileTrigger);
+      assert.deepEqual(
+        planTriggers(newSchema, oldSchema),
+        [AddTrigger(fileTrigger)]
+      );
+    });
     it('should update a changed trigger', function() {
       const oldSchema = deepCopy(defaultSchema.triggers);
       const newSchema = deepCopy(defaultSchema.triggers);
@@ -0,0 +1,88 @@
+import assert from 'assert';
+
+import { evaluatePolicy, selectPolicy } from '../dist/policy';
+import { InvalidPolicyError } from '../dist/errors';
+
+import {
+  AddColumn,
+  UpdateColumn,
+  DeleteCollection,
+  DeleteFunction,
+} from '../dist/command';
+
+describe('policy', function() {
+  const policyFile = {
+    environments: {
+      production: {
+        rules: [
+          { effect: 'deny', commands: ['DeleteCollection'] },
+          { effect: 'allow', commands: ['UpdateColumn'], collections: ['Tmp*'] },
+          { effect: 'deny', commands: 'UpdateColumn' }
+        ]
+      },
+      staging: {},
+      locked: {
+        default: 'deny',
+        rules: [
+          { effect: 'allow', commands: ['Add*'] }
+        ]
+      }
+    }
+  };
+
+  const commands = [
+    AddColumn('Foo', 'AAA', { type: 'String' }),
+    UpdateColumn('Foo', 'AAB', { type: 'Number' }),
+    UpdateColumn('TmpFoo', 'AAB', { type: 'Number' }),
+    DeleteCollection('Bar'),
+    DeleteFunction('getFoobar')
+  ];
+
+  describe('evaluatePolicy()', function() {
+    it('should return every disallowed command', function() {
+      const policy = selectPolicy(policyFile, 'production', 'policy.yaml');
+      assert.deepEqual(
+        evaluatePolicy(commands, policy),
+        [commands[1], commands[3]]
+      );
+    });
+    it('should allow anything without rules', function() {
+      const policy = selectPolicy(policyFile, 'staging', 'policy.yaml');
+      assert.deepEqual(evaluatePolicy(commands, policy), []);
+    });
+    it('should apply the default to commands no rule matches', function() {
+      const policy = selectPolicy(policyFile, 'locked', 'policy.yaml');
+      assert.deepEqual(evaluatePolicy(commands, policy), commands.slice(1));
+    });
+  });
+
+  describe('selectPolicy()', function() {
+    it('should error on unknown environments', function() {
+      assert.throws(
+        () => selectPolicy(policyFile, 'qa', 'policy.yaml'),
+        InvalidPolicyError
+      );
+    });
+    it('should error on invalid rules', function() {
+      const invalid = { environments: { production: { rules: [{ effect: 'forbid', commands: ['*'] }] } } };
+      assert.throws(
+        () => selectPolicy(invalid, 'production', 'policy.yaml'),
+        InvalidPolicyError
+      );
+    });
+    it('should error on commands that match no command type', function() {
+      const misspelled = {
+        environments: {
+          production: {
+            rules: [{ effect: 'deny', commands: ['DeleteColection', 'Delete*', 'Remove*'] }]
+          }
+        }
+      };
+      assert.throws(
+        () => selectPolicy(misspelled, 'production', 'policy.yaml'),
+        (err) => err instanceof InvalidPolicyError
+          && err.message === 'Invalid policy file policy.yaml: "DeleteColection", "Remove*" match no command'
+      );
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import assert from 'assert';
+
+import { interpolate, prettyPrintVariables } from '../dist/variables';
+
+describe('variables', function() {
+  describe('interpolate()', function() {
+    it('should replace variables in values and keys', function() {
+      const document = {
+        url: 'https://${HOOK_HOST}/hooks',
+        permissions: { 'role:${ADMIN_ROLE}': true },
+        list: ['${HOOK_HOST}', 1, true, null]
+      };
+      assert.deepEqual(
+        interpolate(document, { HOOK_HOST: 'hooks.example.com', ADMIN_ROLE: 'admin' }),
+        {
+          value: {
+            url: 'https://hooks.example.com/hooks',
+            permissions: { 'role:admin': true },
+            list: ['hooks.example.com', 1, true, null]
+          },
+          variables: { HOOK_HOST: 'hooks.example.com', ADMIN_ROLE: 'admin' },
+          missing: []
+        }
+      );
+    });
+    it('should use defaults for unset and empty variables', function() {
+      assert.deepEqual(
+        interpolate(['${A:-a}', '${B:-}', '${C:-c}'], { A: '', C: 'set' }),
+        { value: ['a', '', 'set'], variables: { A: null, B: null, C: 'set' }, missing: [] }
+      );
+    });
+    it('should list unset variables without a default', function() {
+      assert.deepEqual(
+        interpolate({ a: '${A}', b: '${A}/${B}' }, { B: 'b' }).missing,
+        ['A']
+      );
+    });
+    it('should leave escaped variables alone', function() {
+      assert.deepEqual(
+        interpolate('$${A} ${A}', { A: 'a' }).value,
+        '${A} a'
+      );
+    });
+  });
+
+  describe('prettyPrintVariables()', function() {
+    it('should list names and mark defaults', function() {
+      assert.equal(
+        prettyPrintVariables({ HOOK_HOST: 'hooks.example.com', ADMIN_ROLE: null }),
+        'ADMIN_ROLE (default), HOOK_HOST'
+      );
+    });
+  });
+});
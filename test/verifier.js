@@ -1,19 +1,39 @@
 import assert from 'assert';
 
-import { verifySchema } from '../dist/verifier';
+import { verifySchema, verifyPlan } from '../dist/verifier';
+import {
+  DeleteCollection,
+  DeleteColumn,
+  RenameColumn,
+  RenameCollection,
+} from '../dist/command';
 
 import {
   duplicateClass,
+  invalidClassRename,
   invalidIndex,
+  invalidIndexOption,
   duplicateIndex,
   duplicateColumn,
+  invalidRename,
+  invalidFieldType,
+  unexpectedTargetClass,
+  multipleGeoPoints,
+  invalidFieldOption,
+  missingTargetClass,
+  danglingReference,
+  referenceToDeletedClass,
+  referenceToRenamedClass,
   duplicateTrigger,
   invalidTrigger,
   invalidTriggerName,
   invalidTriggerClass,
+  invalidTriggerForClass,
   invalidFunction,
   duplicateFunction,
   invalidPermission,
+  unknownPermission,
+  invalidProtectedField,
 } from '../dist/validation-error';
 
 const deepCopy = (any) => JSON.parse(JSON.stringify(any));
@@ -33,7 +53,9 @@ describe('verifier', function() {
         },
         indexes: {
           AAA_index: {
-            AAA: 1
+            key: {
+              AAA: 1
+            }
           }
         },
         classLevelPermissions: {
@@ -95,6 +117,42 @@ describe('verifier', function() {
         [duplicateClass(dupCollection)]
       );
     });
+    it('should name the files of duplicate collections', function() {
+      const schema = deepCopy(defaultSchema);
+      const dupCollection = schema.collections[0]
+      schema.collections.push(dupCollection);
+      schema.sources = {
+        collections: { Foo: ['classes/Foo.yaml', 'legacy.json'] },
+        functions: {},
+        triggers: {}
+      };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [duplicateClass(dupCollection, ['classes/Foo.yaml', 'legacy.json'])]
+      );
+    });
+    it('should error on renames from declared classes', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections.push(Object.assign(deepCopy(schema.collections[0]), {
+        className: 'Baz',
+        renamedFrom: 'Foo'
+      }));
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidClassRename('Baz', '"Foo" is still declared')]
+      );
+    });
+    it('should error on renames of built-in classes', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].renamedFrom = '_Role';
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidClassRename('Foo', 'built-in classes can\'t be renamed')]
+      );
+    });
     it('should error on invalid indices', function() {
       const schema = deepCopy(defaultSchema);
       delete schema.collections[0].fields.AAA;
@@ -104,13 +162,215 @@ describe('verifier', function() {
         [invalidIndex(Object.keys(schema.collections[0].indexes)[0], 'AAA', 'Foo')]
       );
     });
+    it('should error on unknown index options', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].indexes.AAA_index.options = { unique: true, uniqe: true };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidIndexOption('AAA_index', 'uniqe', 'Foo')]
+      );
+    });
     it('should error on invalid permissions', function() {
       const schema = deepCopy(defaultSchema);
       schema.collections[0].classLevelPermissions.create['role:admin'] = false;
 
       assert.deepEqual(
         verifySchema(schema),
-        [invalidPermission('create',  schema.collections[0].className)]
+        [invalidPermission('create', 'role:admin', 'Foo', 'must be `true`')]
+      );
+    });
+    it('should accept the whole permission grammar', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.owner = { type: 'Pointer', targetClass: '_User' };
+      schema.collections[0].classLevelPermissions = {
+        find: { '*': true },
+        count: { requiresAuthentication: true },
+        get: { 'role:Team Leads': true, 'zG3c4kyQ8d': true },
+        create: { pointerFields: ['owner'] },
+        update: { pointerFields: [] },
+        delete: {},
+        addField: {},
+        readUserFields: ['owner'],
+        writeUserFields: [],
+        protectedFields: { 'userField:owner': [], authenticated: ['AAA'] }
+      };
+
+      assert.deepEqual(verifySchema(schema), []);
+    });
+    it('should error on unknown permissions and keys', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].classLevelPermissions.delte = {};
+      schema.collections[0].classLevelPermissions.get = { 'role:': true, 'user.name': true };
+      schema.collections[0].classLevelPermissions.protectedFields = { 'role:a/b': [] };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [
+          invalidPermission('get', 'role:', 'Foo', 'is not *, requiresAuthentication, pointerFields, a role or a user id'),
+          invalidPermission('get', 'user.name', 'Foo', 'is not *, requiresAuthentication, pointerFields, a role or a user id'),
+          unknownPermission('delte', 'Foo'),
+          invalidPermission('protectedFields', 'role:a/b', 'Foo', 'is not *, authenticated, a userField, a role or a user id'),
+        ]
+      );
+    });
+    it('should error on misspelled keys', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].classLevelPermissions.count = { requiresAuthenticaton: true };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidPermission('count', 'requiresAuthenticaton', 'Foo', 'is not *, requiresAuthentication, pointerFields, a role or a user id')]
+      );
+    });
+    it('should error on user fields that aren\'t pointers to _User', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.team = { type: 'Pointer', targetClass: 'Bar' };
+      schema.collections[0].classLevelPermissions.create = { pointerFields: ['team'] };
+      schema.collections[0].classLevelPermissions.readUserFields = ['AAA'];
+      schema.collections[0].classLevelPermissions.writeUserFields = 'AAA';
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [
+          invalidPermission('create', 'team', 'Foo', 'is not a pointer to _User'),
+          invalidPermission('readUserFields', 'AAA', 'Foo', 'is not a pointer to _User'),
+          invalidPermission('writeUserFields', 'writeUserFields', 'Foo', 'must be a list of column names'),
+        ]
+      );
+    });
+    it('should error on renames from declared fields', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAC = { type: 'String', renamedFrom: 'AAB' };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidRename('AAC', 'Foo', '"AAB" is still declared')]
+      );
+    });
+    it('should error on renamed relations', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAC = { type: 'Relation', targetClass: 'Foo', renamedFrom: 'AAX' };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidRename('AAC', 'Foo', 'the values of relations can\'t be copied')]
+      );
+    });
+    it('should error on unknown field types', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAA.type = 'Strng';
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidFieldType('AAA', 'Foo', 'Strng')]
+      );
+    });
+    it('should accept every Parse field type', function() {
+      const schema = deepCopy(defaultSchema);
+      ['Number', 'Boolean', 'Date', 'Object', 'Array', 'File', 'GeoPoint', 'Polygon', 'Bytes', 'ACL']
+        .forEach(type => {
+          schema.collections[1].fields[`field${type}`] = { type };
+        });
+
+      assert.deepEqual(verifySchema(schema), []);
+    });
+    it('should error on target classes of other types', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAA.targetClass = 'Bar';
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [unexpectedTargetClass('AAA', 'Foo', 'String')]
+      );
+    });
+    it('should error on more than one GeoPoint', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAC = { type: 'GeoPoint' };
+      schema.collections[0].fields.AAD = { type: 'GeoPoint' };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [multipleGeoPoints(['AAC', 'AAD'], 'Foo')]
+      );
+    });
+    it('should accept default values of the field type', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAA = { type: 'String', required: true, defaultValue: 'none' };
+      schema.collections[0].fields.AAC = { type: 'Date', defaultValue: { __type: 'Date', iso: '2020-01-01T00:00:00.000Z' } };
+      schema.collections[0].fields.AAD = {
+        type: 'Pointer',
+        targetClass: 'Bar',
+        defaultValue: { __type: 'Pointer', className: 'Bar', objectId: 'abc' }
+      };
+
+      assert.deepEqual(verifySchema(schema), []);
+    });
+    it('should error on invalid field options', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAA = { type: 'String', required: 'yes', defaultValue: 1 };
+      schema.collections[0].fields.AAC = { type: 'Relation', targetClass: 'Bar', defaultValue: [] };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [
+          invalidFieldOption('AAA', 'Foo', 'required must be true or false'),
+          invalidFieldOption('AAA', 'Foo', 'defaultValue is not a valid String'),
+          invalidFieldOption('AAC', 'Foo', 'Relation columns can\'t have a defaultValue')
+        ]
+      );
+    });
+    it('should error on pointers without a target class', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAC = { type: 'Pointer' };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [missingTargetClass('AAC', 'Foo', 'Pointer')]
+      );
+    });
+    it('should error on pointers and relations to missing classes', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAC = { type: 'Pointer', targetClass: 'Baz' };
+      schema.collections[1].fields.BAC = { type: 'Relation', targetClass: 'Qux' };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [
+          danglingReference('AAC', 'Foo', 'Baz'),
+          danglingReference('BAC', 'Bar', 'Qux')
+        ]
+      );
+    });
+    it('should accept pointers to built-in and ignored classes', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].fields.AAC = { type: 'Pointer', targetClass: '_User' };
+      schema.collections[0].fields.AAD = { type: 'Relation', targetClass: 'Bar' };
+      schema.collections[0].fields.AAE = { type: 'Pointer', targetClass: 'AnalyticsDaily' };
+      schema.ignore = { collections: ['Analytics*'] };
+
+      assert.deepEqual(verifySchema(schema), []);
+    });
+    it('should error on protected fields that don\'t exist', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].classLevelPermissions.count = { 'role:user': true };
+      schema.collections[0].classLevelPermissions.protectedFields = {
+        '*': ['AAA', 'createdAt'],
+        'role:user': ['AAX']
+      };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidProtectedField('role:user', 'AAX', 'Foo')]
+      );
+    });
+    it('should error on protected fields that aren\'t lists', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.collections[0].classLevelPermissions.protectedFields = { '*': 'AAA' };
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidPermission('protectedFields', '*', 'Foo', 'must be a list of column names')]
       );
     });
     it('should error on duplicate indices', function() {
@@ -157,6 +417,38 @@ describe('verifier', function() {
         [invalidTriggerClass(schema.triggers[0])]
       );
     });
+    it('should accept every Parse trigger type', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.triggers.push(
+        { className: 'Foo', triggerName: 'beforeFind', url: '/foo/beforeFind' },
+        { className: 'Foo', triggerName: 'afterFind', url: '/foo/afterFind' },
+        { className: 'Foo', triggerName: 'beforeSubscribe', url: '/foo/beforeSubscribe' },
+        { className: '@File', triggerName: 'beforeSaveFile', url: '/files/beforeSave' },
+        { className: '@Connect', triggerName: 'beforeConnect', url: '/connect' }
+      );
+
+      assert.deepEqual(verifySchema(schema), []);
+    });
+    it('should accept triggers on undeclared built-in classes', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.triggers.push(
+        { className: '_User', triggerName: 'beforeSave', url: '/user/beforeSave' },
+        { className: '_User', triggerName: 'beforeLogin', url: '/user/beforeLogin' },
+        { className: '_Installation', triggerName: 'afterSave', url: '/installation/afterSave' }
+      );
+
+      assert.deepEqual(verifySchema(schema), []);
+    });
+    it('should error on triggers not allowed on a class', function() {
+      const schema = deepCopy(defaultSchema);
+      schema.triggers[0].triggerName = 'beforeLogin';
+      schema.triggers[1].className = '@File';
+
+      assert.deepEqual(
+        verifySchema(schema),
+        [invalidTriggerForClass(schema.triggers[0]), invalidTriggerForClass(schema.triggers[1])]
+      );
+    });
     it('should error on duplicate functions', function() {
       const schema = deepCopy(defaultSchema);
       const dupFunc = schema.functions[0]
@@ -178,4 +470,74 @@ describe('verifier', function() {
       );
     });
   });
+
+  describe('verifyPlan()', function() {
+    const oldSchema = {
+      collections: [
+        {
+          className: '_User',
+          fields: {
+            memo: { type: 'Pointer', targetClass: 'Memo' }
+          },
+          classLevelPermissions: {}
+        },
+        {
+          className: 'Memo',
+          fields: {},
+          classLevelPermissions: {}
+        }
+      ],
+      functions: [],
+      triggers: []
+    };
+
+    it('should error on deleting classes that are still pointed to', function() {
+      assert.deepEqual(
+        verifyPlan([DeleteCollection('Memo')], oldSchema),
+        [referenceToDeletedClass('memo', '_User', 'Memo')]
+      );
+    });
+    it('should accept deleting the pointers along with the class', function() {
+      assert.deepEqual(
+        verifyPlan([DeleteCollection('Memo'), DeleteColumn('_User', 'memo')], oldSchema),
+        []
+      );
+    });
+    it('should error on renaming columns to a different type', function() {
+      assert.deepEqual(
+        verifyPlan([RenameColumn('_User', 'memo', 'note', { type: 'String' })], oldSchema),
+        [invalidRename('note', '_User', '"memo" is a Pointer<Memo>, not a String')]
+      );
+      assert.deepEqual(
+        verifyPlan([RenameColumn('_User', 'memo', 'note', { type: 'Pointer', targetClass: 'Memo' })], oldSchema),
+        []
+      );
+    });
+    it('should error on renaming classes without repointing every reference', function() {
+      const note = { className: 'Note', fields: {}, classLevelPermissions: {} };
+      assert.deepEqual(
+        verifyPlan([RenameCollection('Memo', note, [])], oldSchema),
+        [referenceToRenamedClass('memo', '_User', 'Memo')]
+      );
+      assert.deepEqual(
+        verifyPlan([RenameCollection('Memo', note, [{ collection: '_User', name: 'memo' }])], oldSchema),
+        []
+      );
+    });
+    it('should accept copying classes without repointing references', function() {
+      const note = { className: 'Note', fields: {}, classLevelPermissions: {} };
+      const copy = Object.assign(RenameCollection('Memo', note, []), { keepOld: true });
+      assert.deepEqual(verifyPlan([copy], oldSchema), []);
+    });
+    it('should follow renamed classes when comparing renamed columns', function() {
+      const note = { className: 'Note', fields: {}, classLevelPermissions: {} };
+      assert.deepEqual(
+        verifyPlan([
+          RenameCollection('Memo', note, [{ collection: '_User', name: 'memo' }]),
+          RenameColumn('_User', 'memo', 'note', { type: 'Pointer', targetClass: 'Note' })
+        ], oldSchema),
+        []
+      );
+    });
+  });
 });